@@ -1,16 +1,28 @@
-import { eventSource, event_types, saveSettingsDebounced, chat_metadata, name2, systemUserName, neutralCharacterName, characters } from '../../../../script.js';
-import { extension_settings, saveMetadataDebounced, getContext } from '../../../extensions.js';
+import { eventSource, event_types, saveSettingsDebounced, chat_metadata, name2, systemUserName, neutralCharacterName, characters, this_chid, getPastCharacterChats, getRequestHeaders, main_api, stopGeneration } from '../../../../script.js';
+import { extension_settings, saveMetadataDebounced, getContext, writeExtensionField } from '../../../extensions.js';
 import { Popup, POPUP_TYPE, POPUP_RESULT, callGenericPopup } from '../../../popup.js';
 import { lodash, moment, Handlebars, DOMPurify, morphdom } from '../../../../lib.js';
 import { selected_group, groups, editGroup } from '../../../group-chats.js';
 import { getPresetManager } from '../../../preset-manager.js';
+import { power_user } from '../../../power-user.js';
+import { promptManager } from '../../../openai.js';
+import { selected_world_info, world_names } from '../../../world-info.js';
+import { user_avatar, setUserAvatar } from '../../../personas.js';
+import { tags, tag_map } from '../../../tags.js';
 import { executeSlashCommandsWithOptions } from '../../../slash-commands.js';
+import { MacrosParser } from '../../../macros.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandEnumValue } from '../../../slash-commands/SlashCommandEnumValue.js';
+import { download, getFileText, uuidv4 } from '../../../utils.js';
 
 // ===== CONSTANTS AND CONFIGURATION =====
 
 const MODULE_NAME = 'STCL';
 const CACHE_TTL = 1000;
 const MAX_CONTEXT_QUEUE_SIZE = 20;
+const MAX_LOCK_HISTORY = 10;
 const DEBUG_MODE = false;
 
 const CHAT_TYPES = {
@@ -23,7 +35,10 @@ const SETTING_SOURCES = {
     CHAT: 'chat',
     GROUP: 'group',
     INDIVIDUAL: 'individual character',
-    GROUP_CHAT: 'group chat'
+    GROUP_CHAT: 'group chat',
+    TAG: 'tag',
+    RULE: 'rule',
+    DEFAULT: 'default'
 };
 
 const AUTO_APPLY_MODES = {
@@ -32,8 +47,113 @@ const AUTO_APPLY_MODES = {
     ALWAYS: 'always'
 };
 
+const PRE_GENERATION_MODES = {
+    OFF: 'off',
+    WAIT: 'wait',
+    APPLY: 'apply',
+    BLOCK: 'block'
+};
+
+const PENDING_APPLY_TIMEOUT = 10000;
+
+const HARD_LOCK_ACTIONS = {
+    REVERT: 'revert',
+    ASK: 'ask'
+};
+
+// Fields a hard lock guards against changes made outside STCL
+const HARD_LOCK_FIELDS = ['connectionProfile', 'preset'];
+
+// A profile load switches the preset first, so wait for changes to settle
+const LIVE_CHANGE_DELAY = 500;
+const MAX_BLOCKED_CHANGES = 10;
+
+const CARD_CONFLICT_POLICIES = {
+    LOCAL: 'local',
+    CARD: 'card',
+    NEWEST: 'newest'
+};
+
+const WORLD_INFO_MODES = {
+    REPLACE: 'replace',
+    ADD: 'add'
+};
+
+const RULE_MATCH_MODES = {
+    ALL: 'all',
+    ANY: 'any'
+};
+
+const RULE_CONDITION_TYPES = {
+    MESSAGE_COUNT: 'messageCount',
+    LAST_USER_MESSAGE_CONTAINS: 'lastUserMessageContains',
+    TIME_RANGE: 'timeRange'
+};
+
+const LOCK_BUNDLE_FORMAT = 'stcl-locks';
+const LOCK_BUNDLE_VERSION = 1;
+
+const IMPORT_MODES = {
+    OVERWRITE: 'overwrite',
+    SKIP: 'skip',
+    NEWEST: 'newest'
+};
+
+const IMPORT_ACTIONS = {
+    WRITE: 'write',
+    SKIP: 'skip',
+    UNMATCHED: 'unmatched',
+    INVALID: 'invalid'
+};
+
+// Emitted on eventSource for other extensions; payloads carry the chat context and lock source
+const STCL_EVENTS = {
+    LOCK_APPLIED: 'stcl_lock_applied',
+    LOCK_SAVED: 'stcl_lock_saved',
+    LOCK_CLEARED: 'stcl_lock_cleared'
+};
+
+// Bump on breaking changes to window.STCL
+const STCL_API_VERSION = 1;
+
+// Kinds of locks listed in the lock manager, with their source labels
+const LOCK_ENTRY_SOURCES = {
+    character: SETTING_SOURCES.CHARACTER,
+    group: SETTING_SOURCES.GROUP,
+    groupChat: SETTING_SOURCES.GROUP_CHAT,
+    chat: SETTING_SOURCES.CHAT
+};
+
 const SELECTORS = {
-    menuItem: '#stcl-menu-item'
+    menuItem: '#stcl-menu-item',
+    restoreRevision: '.stcl-restore-revision',
+    lockField: '.stcl-lock-field',
+    editSamplerOverrides: '.stcl-edit-sampler-overrides',
+    hardLock: '.stcl-hard-lock',
+    hardLockSuspend: '.stcl-hard-lock-suspend',
+    presetSelect: 'select[data-preset-manager-for]',
+    moveLayer: '.stcl-move-layer',
+    tagLockSet: '.stcl-tag-lock-set',
+    tagLockAdd: '.stcl-tag-lock-add',
+    tagLockClear: '.stcl-tag-lock-clear',
+    tagLockPriority: '.stcl-tag-lock-priority',
+    ruleAdd: '.stcl-rule-add',
+    ruleEdit: '.stcl-rule-edit',
+    ruleSetLock: '.stcl-rule-set-lock',
+    ruleDelete: '.stcl-rule-delete',
+    ruleMove: '.stcl-rule-move',
+    ruleEnabled: '.stcl-rule-enabled',
+    includeInLock: '.stcl-include-in-lock',
+    dashboardFilter: '.stcl-dashboard-filter',
+    dashboardEdit: '.stcl-dashboard-edit',
+    dashboardSave: '.stcl-dashboard-save',
+    dashboardCancel: '.stcl-dashboard-cancel',
+    dashboardDelete: '.stcl-dashboard-delete',
+    characterLockPanel: '#stcl-character-lock',
+    characterLockSet: '#stcl-character-lock-set',
+    characterLockClear: '#stcl-character-lock-clear',
+    characterEditorAnchor: '#spoiler_free_desc',
+    characterEditorAvatar: '#avatar_url_pole'
 };
 
 
@@ -42,16 +162,180 @@ const DEFAULT_SETTINGS = {
         enableCharacterMemory: true,
         enableChatMemory: true,
         enableGroupMemory: true,
-        preferCharacterOverChat: true,
-        preferGroupOverChat: true,
-        preferIndividualCharacterInGroup: false,
+        singlePriorityChain: ['character', 'chat'],
+        groupPriorityChain: ['group', 'groupChat', 'individual'],
+        applyDefaultLockWhenUnlocked: false,
+        restoreSettingsWhenUnlocked: false,
+        promptOnDrift: false,
         showNotifications: true,
-        autoApplyOnContextChange: AUTO_APPLY_MODES.ASK  // Default to ask
+        autoApplyOnContextChange: AUTO_APPLY_MODES.ASK,  // Default to ask
+        preGenerationCheck: PRE_GENERATION_MODES.OFF,
+        hardLockAction: HARD_LOCK_ACTIONS.REVERT,
+        storeLocksInCard: false,
+        cardConflictPolicy: CARD_CONFLICT_POLICIES.LOCAL,
+        includeInLock: {
+            instructTemplate: false,
+            contextTemplate: false,
+            systemPrompt: false,
+            tokenizer: false,
+            promptManager: false,
+            worldInfo: false,
+            persona: false
+        },
+        worldInfoMode: WORLD_INFO_MODES.REPLACE
     },
     characterSettings: {},
-    migrationVersion: 9
+    tagLocks: {},
+    lockRules: [],
+    defaultLock: null,
+    migrationVersion: 11
+};
+
+/**
+ * Optional lock fields saved alongside connection profile and preset.
+ * Each one is only captured while its moduleSettings.includeInLock toggle is on,
+ * and only compared/applied when the saved lock has a value for it.
+ */
+const LOCKABLE_FIELDS = [
+    {
+        key: 'instructTemplate',
+        label: 'Instruct Template',
+        getCurrent: () => getPresetManager('instruct')?.getSelectedPresetName() || '',
+        apply: (value) => selectPresetByName('instruct', value)
+    },
+    {
+        key: 'contextTemplate',
+        label: 'Context Template',
+        getCurrent: () => getPresetManager('context')?.getSelectedPresetName() || '',
+        apply: (value) => selectPresetByName('context', value)
+    },
+    {
+        key: 'systemPrompt',
+        label: 'System Prompt',
+        getCurrent: () => getPresetManager('sysprompt')?.getSelectedPresetName() || '',
+        apply: (value) => selectPresetByName('sysprompt', value)
+    },
+    {
+        key: 'tokenizer',
+        label: 'Tokenizer',
+        getCurrent: () => power_user.tokenizer,
+        apply: (value) => selectTokenizerById(value),
+        format: (value) => $(`#tokenizer option[value="${value}"]`).text() || String(value)
+    },
+    {
+        // Chat Completion only: which Prompt Manager entries are enabled, and their order
+        key: 'promptManager',
+        label: 'Prompt Manager',
+        getCurrent: () => getPromptManagerState(),
+        apply: (value) => applyPromptManagerState(value),
+        format: (value) => `${value.filter(entry => entry.enabled).length} of ${value.length} prompts enabled`
+    },
+    {
+        // Global World Info / lorebook selection; replaces or adds to the active books per worldInfoMode
+        key: 'worldInfo',
+        label: 'World Info',
+        getCurrent: () => [...selected_world_info].sort(),
+        apply: (value) => applyWorldInfoSelection(value),
+        matches: (current, saved) => getWorldInfoMode() === WORLD_INFO_MODES.ADD ?
+            saved.every(name => current.includes(name)) :
+            lodash.isEqual([...current].sort(), [...saved].sort()),
+        format: (value) => value.length > 0 ? value.join(', ') : 'None'
+    },
+    {
+        // Active user persona, stored by avatar file name
+        key: 'persona',
+        label: 'Persona',
+        getCurrent: () => user_avatar || '',
+        apply: (value) => applyPersona(value),
+        format: (value) => power_user.personas?.[value] ? `${power_user.personas[value]} (${value})` : value
+    }
+];
+
+/**
+ * Samplers a lock can override on top of its preset, with the slider or input
+ * that holds each value for every main API.
+ */
+const SAMPLER_OVERRIDES = [
+    {
+        key: 'temperature',
+        label: 'Temperature',
+        selectors: { openai: '#temp_openai', textgenerationwebui: '#temp_textgenerationwebui', kobold: '#temp', novel: '#temp_novel' }
+    },
+    {
+        key: 'top_p',
+        label: 'Top P',
+        selectors: { openai: '#top_p_openai', textgenerationwebui: '#top_p_textgenerationwebui', kobold: '#top_p', novel: '#top_p_novel' }
+    },
+    {
+        key: 'max_tokens',
+        label: 'Max Tokens',
+        selectors: { openai: '#openai_max_tokens', textgenerationwebui: '#amount_gen', kobold: '#amount_gen', novel: '#amount_gen' }
+    }
+];
+
+/**
+ * Sampler overrides are edited per lock rather than captured from the UI,
+ * so re-saving a lock carries them over (manual).
+ */
+const SAMPLER_OVERRIDES_FIELD = {
+    key: 'samplerOverrides',
+    label: 'Sampler Overrides',
+    manual: true,
+    format: (value) => SAMPLER_OVERRIDES
+        .filter(sampler => isLockValueSet(value[sampler.key]))
+        .map(sampler => `${sampler.label} ${value[sampler.key]}`)
+        .join(', ')
+};
+
+/**
+ * Built-in resolution layers. Each layer reads its lock from the loaded
+ * currentSettings; the user orders them per chat type in the priority chains.
+ */
+const BUILT_IN_LAYERS = [
+    {
+        // Conditional locks; new chains start with them so a firing rule wins
+        id: 'rule',
+        label: 'Rule',
+        chatTypes: [CHAT_TYPES.SINGLE, CHAT_TYPES.GROUP],
+        source: SETTING_SOURCES.RULE,
+        insertFirst: true,
+        getSource: (settings) => `${SETTING_SOURCES.RULE} "${settings.ruleName}"`,
+        getSettings: (settings) => settings.rule
+    },
+    { id: 'character', label: 'Character', chatTypes: [CHAT_TYPES.SINGLE], source: SETTING_SOURCES.CHARACTER, enabledSetting: 'enableCharacterMemory', getSettings: (settings) => settings.character },
+    { id: 'chat', label: 'Chat', chatTypes: [CHAT_TYPES.SINGLE], source: SETTING_SOURCES.CHAT, enabledSetting: 'enableChatMemory', getSettings: (settings) => settings.chat },
+    { id: 'group', label: 'Group', chatTypes: [CHAT_TYPES.GROUP], source: SETTING_SOURCES.GROUP, enabledSetting: 'enableGroupMemory', getSettings: (settings) => settings.group },
+    { id: 'groupChat', label: 'Group Chat', chatTypes: [CHAT_TYPES.GROUP], source: SETTING_SOURCES.GROUP_CHAT, enabledSetting: 'enableChatMemory', getSettings: (settings) => settings.chat },
+    { id: 'individual', label: 'Drafted Character', chatTypes: [CHAT_TYPES.GROUP], source: SETTING_SOURCES.INDIVIDUAL, enabledSetting: 'enableCharacterMemory', getSettings: (settings) => settings.individual },
+    {
+        id: 'tag',
+        label: 'Tag',
+        chatTypes: [CHAT_TYPES.SINGLE, CHAT_TYPES.GROUP],
+        source: SETTING_SOURCES.TAG,
+        getSource: (settings) => `${SETTING_SOURCES.TAG} "${getTagName(settings.tagId)}"`,
+        getSettings: (settings) => settings.tag
+    },
+    // Always the last resort; pinned layers can't be reordered
+    { id: 'default', label: 'Default Lock', chatTypes: [CHAT_TYPES.SINGLE, CHAT_TYPES.GROUP], source: SETTING_SOURCES.DEFAULT, pinnedLast: true, getSettings: (settings) => settings.default }
+];
+
+const PRIORITY_CHAIN_SETTINGS = {
+    [CHAT_TYPES.SINGLE]: 'singlePriorityChain',
+    [CHAT_TYPES.GROUP]: 'groupPriorityChain'
 };
 
+const OPTIONAL_LOCK_FIELDS = [...LOCKABLE_FIELDS, SAMPLER_OVERRIDES_FIELD];
+
+/**
+ * Every field a lock can hold. A field is locked when its value is set; a value of
+ * null marks it as explicitly unset so lower-priority layers decide it instead.
+ */
+const LOCK_FIELDS = [
+    { key: 'connectionProfile', label: 'Connection Profile' },
+    { key: 'preset', label: 'Preset' },
+    ...OPTIONAL_LOCK_FIELDS
+];
+
 // ===== CORE CLASSES =====
 
 /**
@@ -120,6 +404,7 @@ class ChatContext {
 
     _buildSingleContext() {
         const characterName = this._getCharacterNameForSettings();
+        const characterId = this._getCurrentCharacterId();
         const chatId = this._getCurrentChatId();
 
         return {
@@ -130,11 +415,22 @@ class ChatContext {
             chatId,
             chatName: chatId,
             characterName,
+            characterId,
+            // Stable storage key (avatar filename); falls back to the name for legacy lookups
+            characterKey: (characterId !== null ? characters[characterId]?.avatar : null) || characterName,
             primaryId: characterName,
             secondaryId: chatId
         };
     }
 
+    _getCurrentCharacterId() {
+        if (this_chid === undefined || this_chid === null || this_chid === '') {
+            return null;
+        }
+        const chId = Number(this_chid);
+        return Number.isInteger(chId) && characters?.[chId] ? chId : null;
+    }
+
 
     _getCharacterNameForSettings() {
         let characterName = name2;
@@ -201,6 +497,8 @@ class StorageAdapter {
     }
 
     // Character settings
+    // Keys are either a chId (index into characters[]) or a string. Strings are treated as the
+    // stable key (avatar filename) first and as a legacy character name second.
     getCharacterSettings(characterKey) {
         if (characterKey === undefined || characterKey === null) {
             if (DEBUG_MODE) console.warn('STCL: Cannot get character settings - invalid key');
@@ -208,69 +506,56 @@ class StorageAdapter {
         }
 
         const extensionSettings = this.getExtensionSettings();
-        let settings = null;
+        const storageKey = this._resolveCharacterStorageKey(characterKey);
+        let settings = storageKey ? extensionSettings.characterSettings?.[storageKey] || null : null;
 
-        if (typeof characterKey === 'number') {
-            // New system: Use chId as key
-            const chIdKey = String(characterKey);
-            settings = extensionSettings.characterSettings?.[chIdKey] || null;
-
-            if (!settings && characters?.[characterKey]?.name) {
-                // Fallback: Try to find by character name from old STCL/STMTL system
-                const characterName = characters[characterKey].name;
-                const nameKey = this._normalizeCharacterName(characterName);
+        if (!settings) {
+            // Fallback: legacy name-based settings the key migration could not resolve
+            const nameKey = this._getLegacyNameKey(characterKey);
+            if (nameKey && nameKey !== storageKey) {
                 settings = extensionSettings.characterSettings?.[nameKey] || null;
 
                 if (DEBUG_MODE && settings) {
-                    console.log(`STCL: Found legacy name-based settings for chId ${characterKey}, character: ${characterName}`);
+                    console.log(`STCL: Found legacy name-based settings for "${characterKey}", name: ${nameKey}`);
                 }
             }
+        }
 
-            if (DEBUG_MODE) {
-                if (settings) {
-                    console.log(`STCL: Retrieved character settings for chId "${chIdKey}"`);
-                } else {
-                    console.log(`STCL: No settings found for chId "${chIdKey}"`);
-                }
-            }
-        } else {
-            // Backward compatibility: character name lookup (for old STCL/STMTL)
-            const nameKey = this._normalizeCharacterName(characterKey);
-            settings = extensionSettings.characterSettings?.[nameKey] || null;
+        if (extensionSettings.moduleSettings.storeLocksInCard) {
+            settings = this._resolveCardConflict(settings, this.getCardCharacterSettings(characterKey));
+        }
 
-            if (DEBUG_MODE) {
-                if (settings) {
-                    console.log(`STCL: Retrieved legacy character settings for name "${nameKey}"`);
-                } else {
-                    console.log(`STCL: No legacy settings found for name "${nameKey}"`);
-                }
+        if (DEBUG_MODE) {
+            if (settings) {
+                console.log(`STCL: Retrieved character settings for key "${storageKey}"`);
+            } else {
+                console.log(`STCL: No settings found for key "${storageKey}"`);
             }
         }
 
         return settings;
     }
 
-    setCharacterSettings(characterKey, settings) {
+    async setCharacterSettings(characterKey, settings) {
         if (characterKey === undefined || characterKey === null) {
             if (DEBUG_MODE) console.warn('STCL: Cannot save character settings - invalid key');
             return false;
         }
 
+        const saveKey = this._resolveCharacterStorageKey(characterKey);
+        if (!saveKey) {
+            console.warn(`STCL: Cannot save character settings - no character found for chId ${characterKey}`);
+            return false;
+        }
+
         const extensionSettings = this.getExtensionSettings();
 
         if (!extensionSettings.characterSettings) {
             extensionSettings.characterSettings = {};
         }
 
-        // Always save with chId going forward
-        let saveKey;
-        if (typeof characterKey === 'number') {
-            // New system: Use chId as key
-            saveKey = String(characterKey);
-        } else {
-            // Backward compatibility: still allow saving by name (for migration/old code)
-            saveKey = this._normalizeCharacterName(characterKey);
-            if (DEBUG_MODE) console.log('STCL: Warning - saving by character name instead of chId');
+        if (DEBUG_MODE && !this._isCharacterAvatar(saveKey)) {
+            console.log('STCL: Warning - saving by character name instead of avatar key');
         }
 
         extensionSettings.characterSettings[saveKey] = settings;
@@ -278,10 +563,15 @@ class StorageAdapter {
         if (DEBUG_MODE) console.log('STCL: Settings saved for key:', saveKey);
 
         this.saveExtensionSettings();
+
+        if (extensionSettings.moduleSettings.storeLocksInCard) {
+            await this._writeCardSettings(characterKey, settings);
+        }
+
         return true;
     }
 
-    deleteCharacterSettings(characterKey) {
+    async deleteCharacterSettings(characterKey) {
         if (characterKey === undefined || characterKey === null) {
             if (DEBUG_MODE) console.warn('STCL: Cannot delete character settings - invalid key');
             return false;
@@ -290,32 +580,24 @@ class StorageAdapter {
         const extensionSettings = this.getExtensionSettings();
         let deleted = false;
 
-        if (typeof characterKey === 'number') {
-            // Delete chId-based settings
-            const chIdKey = String(characterKey);
-            if (extensionSettings.characterSettings?.[chIdKey]) {
-                delete extensionSettings.characterSettings[chIdKey];
-                deleted = true;
-                if (DEBUG_MODE) console.log(`STCL: Deleted chId-based character settings for "${chIdKey}"`);
-            }
+        const storageKey = this._resolveCharacterStorageKey(characterKey);
+        if (storageKey && extensionSettings.characterSettings?.[storageKey]) {
+            delete extensionSettings.characterSettings[storageKey];
+            deleted = true;
+            if (DEBUG_MODE) console.log(`STCL: Deleted character settings for "${storageKey}"`);
+        }
 
-            // Also delete any legacy name-based settings for this character
-            if (characters?.[characterKey]?.name) {
-                const characterName = characters[characterKey].name;
-                const nameKey = this._normalizeCharacterName(characterName);
-                if (extensionSettings.characterSettings?.[nameKey]) {
-                    delete extensionSettings.characterSettings[nameKey];
-                    deleted = true;
-                    if (DEBUG_MODE) console.log(`STCL: Also deleted legacy name-based settings for "${nameKey}"`);
-                }
-            }
-        } else {
-            // Delete name-based settings (backward compatibility)
-            const nameKey = this._normalizeCharacterName(characterKey);
-            if (extensionSettings.characterSettings?.[nameKey]) {
-                delete extensionSettings.characterSettings[nameKey];
+        // Also delete any legacy name-based settings for this character
+        const nameKey = this._getLegacyNameKey(characterKey);
+        if (nameKey && nameKey !== storageKey && extensionSettings.characterSettings?.[nameKey]) {
+            delete extensionSettings.characterSettings[nameKey];
+            deleted = true;
+            if (DEBUG_MODE) console.log(`STCL: Also deleted legacy name-based settings for "${nameKey}"`);
+        }
+
+        if (extensionSettings.moduleSettings.storeLocksInCard && this.getCardCharacterSettings(characterKey)) {
+            if (await this._writeCardSettings(characterKey, null)) {
                 deleted = true;
-                if (DEBUG_MODE) console.log(`STCL: Deleted legacy character settings for name "${nameKey}"`);
             }
         }
 
@@ -328,6 +610,107 @@ class StorageAdapter {
         return deleted;
     }
 
+    // Character card settings (stored in the card's data.extensions block)
+    getCardCharacterSettings(characterKey) {
+        const chId = this.getCharacterIndex(characterKey);
+        if (chId === null) {
+            return null;
+        }
+        return characters[chId]?.data?.extensions?.[this.EXTENSION_KEY] || null;
+    }
+
+    async _writeCardSettings(characterKey, settings) {
+        const chId = this.getCharacterIndex(characterKey);
+        if (chId === null) {
+            if (DEBUG_MODE) console.warn(`STCL: Cannot write card settings - no character found for "${characterKey}"`);
+            return false;
+        }
+
+        try {
+            // Revision history stays local; the card only carries the current lock
+            await writeExtensionField(chId, this.EXTENSION_KEY, settings ? lodash.omit(settings, 'history') : settings);
+            if (DEBUG_MODE) console.log(`STCL: Wrote character card settings for chId ${chId}`);
+            return true;
+        } catch (error) {
+            console.error('STCL: Error writing character card settings:', error);
+            return false;
+        }
+    }
+
+    _resolveCardConflict(localSettings, cardSettings) {
+        if (!cardSettings) return localSettings;
+        if (!localSettings) return cardSettings;
+
+        const comparableKeys = ['connectionProfile', 'preset', ...LOCKABLE_FIELDS.map(field => field.key)];
+        if (lodash.isEqual(lodash.pick(localSettings, comparableKeys), lodash.pick(cardSettings, comparableKeys))) {
+            return localSettings;
+        }
+
+        // The card copy has no history, so a winning card lock keeps the local revisions
+        const cardWithHistory = { ...cardSettings, history: localSettings.history || [] };
+
+        const policy = this.getExtensionSettings().moduleSettings.cardConflictPolicy;
+        switch (policy) {
+            case CARD_CONFLICT_POLICIES.CARD:
+                return cardWithHistory;
+
+            case CARD_CONFLICT_POLICIES.NEWEST:
+                return moment(cardSettings.savedAt).isAfter(moment(localSettings.savedAt)) ? cardWithHistory : localSettings;
+
+            case CARD_CONFLICT_POLICIES.LOCAL:
+            default:
+                return localSettings;
+        }
+    }
+
+    getCharacterIndex(characterKey) {
+        if (typeof characterKey === 'number') {
+            return characters?.[characterKey] ? characterKey : null;
+        }
+        const chId = characters?.findIndex(x => x.avatar === characterKey) ?? -1;
+        return chId !== -1 ? chId : null;
+    }
+
+    renameCharacterKey(oldAvatar, newAvatar) {
+        const extensionSettings = this.getExtensionSettings();
+        if (!oldAvatar || !newAvatar || !extensionSettings.characterSettings?.[oldAvatar]) {
+            return false;
+        }
+
+        extensionSettings.characterSettings[newAvatar] = extensionSettings.characterSettings[oldAvatar];
+        delete extensionSettings.characterSettings[oldAvatar];
+        if (DEBUG_MODE) console.log(`STCL: Moved character settings from "${oldAvatar}" to "${newAvatar}"`);
+
+        this.saveExtensionSettings();
+        return true;
+    }
+
+    getCharacterKey(chId) {
+        return characters?.[chId]?.avatar || null;
+    }
+
+    _resolveCharacterStorageKey(characterKey) {
+        if (typeof characterKey === 'number') {
+            return this.getCharacterKey(characterKey);
+        }
+        return this._isCharacterAvatar(characterKey) ? characterKey : this._normalizeCharacterName(characterKey);
+    }
+
+    _getLegacyNameKey(characterKey) {
+        const character = typeof characterKey === 'number' ?
+            characters?.[characterKey] :
+            characters?.find(x => x.avatar === characterKey);
+
+        if (character?.name) {
+            return this._normalizeCharacterName(character.name);
+        }
+        return typeof characterKey === 'string' ? this._normalizeCharacterName(characterKey) : null;
+    }
+
+    _isCharacterAvatar(key) {
+        return typeof key === 'string' && !!characters?.some(x => x.avatar === key);
+    }
+
     // Group settings (stored directly on group object)
     getGroupSettings(groupId) {
         if (!groupId) {
@@ -471,6 +854,111 @@ class StorageAdapter {
         }
     }
 
+    // Tag locks (keyed by tag id, stored in extension settings)
+    getTagLocks() {
+        return this.getExtensionSettings().tagLocks || {};
+    }
+
+    getTagLock(tagId) {
+        return this.getTagLocks()[tagId] || null;
+    }
+
+    setTagLock(tagId, settings) {
+        if (!tagId) {
+            console.warn('STCL: Cannot save tag lock - invalid tag id');
+            return false;
+        }
+
+        try {
+            const extensionSettings = this.getExtensionSettings();
+            extensionSettings.tagLocks = { ...extensionSettings.tagLocks, [tagId]: settings };
+            this.saveExtensionSettings();
+            if (DEBUG_MODE) console.log(`STCL: Saved tag lock for ${tagId}:`, settings);
+            return true;
+        } catch (error) {
+            console.error('STCL: Error saving tag lock:', error);
+            return false;
+        }
+    }
+
+    deleteTagLock(tagId) {
+        const extensionSettings = this.getExtensionSettings();
+        if (!extensionSettings.tagLocks?.[tagId]) {
+            if (DEBUG_MODE) console.log(`STCL: No tag lock to delete for ${tagId}`);
+            return false;
+        }
+
+        delete extensionSettings.tagLocks[tagId];
+        this.saveExtensionSettings();
+        return true;
+    }
+
+    /**
+     * Finds the tag lock for a character avatar or group id. With several locked
+     * tags, the highest priority wins, then the most recently saved.
+     */
+    findTagLock(entityKey) {
+        const tagLocks = this.getTagLocks();
+        const entityTags = Array.isArray(tag_map?.[entityKey]) ? tag_map[entityKey] : [];
+
+        const candidates = entityTags
+            .filter(tagId => tagLocks[tagId])
+            .map(tagId => ({ tagId, settings: tagLocks[tagId] }));
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        return lodash.orderBy(candidates,
+            [x => Number(x.settings.priority) || 0, x => x.settings.savedAt || ''],
+            ['desc', 'desc'])[0];
+    }
+
+    // Lock rules (ordered list, stored in extension settings)
+    getLockRules() {
+        return this.getExtensionSettings().lockRules || [];
+    }
+
+    setLockRules(rules) {
+        try {
+            this.getExtensionSettings().lockRules = rules;
+            this.saveExtensionSettings();
+            return true;
+        } catch (error) {
+            console.error('STCL: Error saving lock rules:', error);
+            return false;
+        }
+    }
+
+    // Default lock (lowest-priority fallback, stored in extension settings)
+    getDefaultLock() {
+        return this.getExtensionSettings().defaultLock || null;
+    }
+
+    setDefaultLock(settings) {
+        try {
+            this.getExtensionSettings().defaultLock = settings;
+            this.saveExtensionSettings();
+            if (DEBUG_MODE) console.log('STCL: Saved default lock:', settings);
+            return true;
+        } catch (error) {
+            console.error('STCL: Error saving default lock:', error);
+            return false;
+        }
+    }
+
+    deleteDefaultLock() {
+        const extensionSettings = this.getExtensionSettings();
+        if (!extensionSettings.defaultLock) {
+            if (DEBUG_MODE) console.log('STCL: No default lock to delete');
+            return false;
+        }
+
+        extensionSettings.defaultLock = null;
+        this.saveExtensionSettings();
+        return true;
+    }
+
     // Group chat settings
     getGroupChatSettings(groupId) {
         if (!groupId) {
@@ -542,73 +1030,264 @@ class StorageAdapter {
         }
     }
 
-    _normalizeCharacterName(characterName) {
-        let normalized = String(characterName).trim();
-        if (normalized.normalize) {
-            normalized = normalized.normalize('NFC');
+    /**
+     * Chat locks for every chat of a character. A chat that can't be read is
+     * skipped and, when failedChats is given, added to it as { characterName, chatId }.
+     */
+    async getCharacterChatLocks(chId, failedChats = null) {
+        if (!characters?.[chId]) {
+            return [];
         }
-        return normalized;
-    }
-
-    _getCurrentChatMetadata() {
-        return chat_metadata;
-    }
 
-    _triggerMetadataSave() {
+        let pastChats;
         try {
-            saveMetadataDebounced();
+            pastChats = await getPastCharacterChats(chId);
         } catch (error) {
-            console.error('STCL: Error triggering metadata save:', error);
+            console.error('STCL: Error listing character chats:', error);
+            failedChats?.push({ characterName: characters[chId].name, chatId: null });
+            return [];
         }
-    }
-
-    // ===== OLD STMTL SETTINGS DETECTION =====
 
-    hasOldCharacterSettings(characterName) {
-        if (!characterName) return false;
-        try {
-            const normalizedName = this._normalizeCharacterName(characterName);
-            return !!extension_settings.STMTL?.characterSettings?.[normalizedName];
-        } catch (error) {
-            if (DEBUG_MODE) console.warn('STCL: Error checking old character settings:', error);
-            return false;
+        const locks = [];
+        for (const { file_name } of pastChats || []) {
+            const chatId = String(file_name).replace(/\.jsonl$/, '');
+            try {
+                const settings = await this._readCharacterChatLock(chId, chatId);
+                if (settings) {
+                    locks.push({ chatId, settings });
+                }
+            } catch (error) {
+                console.warn(`STCL: Could not read the lock of chat "${chatId}":`, error);
+                failedChats?.push({ characterName: characters[chId].name, chatId });
+            }
         }
+
+        return locks;
     }
 
-    hasOldChatSettings() {
+    async getCharacterChatLock(chId, chatId) {
         try {
-            const metadata = this._getCurrentChatMetadata();
-            return !!metadata?.STMTL;
+            return await this._readCharacterChatLock(chId, chatId);
         } catch (error) {
-            if (DEBUG_MODE) console.warn('STCL: Error checking old chat settings:', error);
-            return false;
+            if (DEBUG_MODE) console.warn('STCL: Error reading character chat lock:', error);
+            return null;
         }
     }
 
-    hasOldGroupSettings(groupId) {
-        if (!groupId) return false;
-        try {
-            const group = groups?.find(x => x.id === groupId);
-            return !!group?.stmtl_settings || !!extension_settings.STMTL?.groupSettings?.[groupId];
-        } catch (error) {
-            if (DEBUG_MODE) console.warn('STCL: Error checking old group settings:', error);
-            return false;
+    async _readCharacterChatLock(chId, chatId) {
+        if (this._isCurrentCharacterChat(chId, chatId)) {
+            return this.getChatSettings();
         }
-    }
 
-    hasOldGroupChatSettings(groupId) {
-        if (!groupId) return false;
-        try {
-            const group = groups?.find(x => x.id === groupId);
-            return !!group?.chat_metadata?.STMTL;
-        } catch (error) {
-            if (DEBUG_MODE) console.warn('STCL: Error checking old group chat settings:', error);
-            return false;
+        const chat = await this._fetchCharacterChat(chId, chatId);
+        if (!chat) {
+            throw new Error(`Chat "${chatId}" could not be loaded`);
         }
+        return chat[0]?.chat_metadata?.[this.EXTENSION_KEY] || null;
     }
 
-    getOldCharacterSettings(characterName) {
-        if (!characterName) return null;
+    async setCharacterChatLock(chId, chatId, settings) {
+        if (this._isCurrentCharacterChat(chId, chatId)) {
+            return settings ? this.setChatSettings(settings) : this.deleteChatSettings();
+        }
+
+        try {
+            const chat = await this._fetchCharacterChat(chId, chatId);
+            const header = chat?.[0];
+            if (!header || typeof header !== 'object' || 'mes' in header) {
+                console.warn(`STCL: Cannot save chat lock - chat "${chatId}" has no metadata header`);
+                return false;
+            }
+
+            header.chat_metadata = header.chat_metadata || {};
+            if (settings) {
+                header.chat_metadata[this.EXTENSION_KEY] = settings;
+            } else {
+                delete header.chat_metadata[this.EXTENSION_KEY];
+            }
+
+            const response = await fetch('/api/chats/save', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({
+                    ch_name: characters[chId].name,
+                    file_name: chatId,
+                    chat,
+                    avatar_url: characters[chId].avatar
+                }),
+                cache: 'no-cache'
+            });
+
+            if (!response.ok) {
+                console.warn(`STCL: Error saving chat "${chatId}":`, response.statusText);
+                return false;
+            }
+
+            if (DEBUG_MODE) console.log(`STCL: Saved chat lock for "${chatId}"`);
+            return true;
+        } catch (error) {
+            console.error('STCL: Error saving character chat lock:', error);
+            return false;
+        }
+    }
+
+    getGroupChatLocks(groupId) {
+        const group = groups?.find(x => x.id === groupId);
+        if (!Array.isArray(group?.chats)) {
+            return [];
+        }
+
+        return group.chats
+            .map(chatId => ({ chatId, settings: this.getGroupChatLock(groupId, chatId) }))
+            .filter(x => x.settings);
+    }
+
+    getGroupChatLock(groupId, chatId) {
+        const group = groups?.find(x => x.id === groupId);
+        if (!group) {
+            return null;
+        }
+
+        if (selected_group === groupId && group.chat_id === chatId) {
+            return this.getGroupChatSettings(groupId);
+        }
+        return group.past_metadata?.[chatId]?.[this.EXTENSION_KEY] || null;
+    }
+
+    async setGroupChatLock(groupId, chatId, settings) {
+        const group = groups?.find(x => x.id === groupId);
+        if (!group) {
+            console.warn('STCL: Cannot save group chat lock - group not found');
+            return false;
+        }
+
+        if (selected_group === groupId && group.chat_id === chatId) {
+            const saved = settings ?
+                await this.setGroupChatSettings(groupId, settings) :
+                await this.deleteGroupChatSettings(groupId);
+            this._triggerMetadataSave();
+            return saved;
+        }
+
+        try {
+            group.past_metadata = group.past_metadata || {};
+            group.past_metadata[chatId] = group.past_metadata[chatId] || {};
+            if (settings) {
+                group.past_metadata[chatId][this.EXTENSION_KEY] = settings;
+            } else {
+                delete group.past_metadata[chatId][this.EXTENSION_KEY];
+            }
+
+            await editGroup(groupId, false, false);
+            return true;
+        } catch (error) {
+            console.error('STCL: Error saving group chat lock:', error);
+            return false;
+        }
+    }
+
+    _isCurrentCharacterChat(chId, chatId) {
+        return !selected_group && Number(this_chid) === chId && getContext()?.chatId === chatId;
+    }
+
+    async _fetchCharacterChat(chId, chatId) {
+        const character = characters?.[chId];
+        if (!character) {
+            return null;
+        }
+
+        try {
+            const response = await fetch('/api/chats/get', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({
+                    ch_name: character.name,
+                    file_name: chatId,
+                    avatar_url: character.avatar
+                }),
+                cache: 'no-cache'
+            });
+
+            if (!response.ok) {
+                if (DEBUG_MODE) console.warn(`STCL: Could not load chat "${chatId}":`, response.statusText);
+                return null;
+            }
+
+            const chat = await response.json();
+            return Array.isArray(chat) ? chat : null;
+        } catch (error) {
+            console.warn(`STCL: Error loading chat "${chatId}":`, error);
+            return null;
+        }
+    }
+
+    _normalizeCharacterName(characterName) {
+        let normalized = String(characterName).trim();
+        if (normalized.normalize) {
+            normalized = normalized.normalize('NFC');
+        }
+        return normalized;
+    }
+
+    _getCurrentChatMetadata() {
+        return chat_metadata;
+    }
+
+    _triggerMetadataSave() {
+        try {
+            saveMetadataDebounced();
+        } catch (error) {
+            console.error('STCL: Error triggering metadata save:', error);
+        }
+    }
+
+    // ===== OLD STMTL SETTINGS DETECTION =====
+
+    hasOldCharacterSettings(characterName) {
+        if (!characterName) return false;
+        try {
+            const normalizedName = this._normalizeCharacterName(characterName);
+            return !!extension_settings.STMTL?.characterSettings?.[normalizedName];
+        } catch (error) {
+            if (DEBUG_MODE) console.warn('STCL: Error checking old character settings:', error);
+            return false;
+        }
+    }
+
+    hasOldChatSettings() {
+        try {
+            const metadata = this._getCurrentChatMetadata();
+            return !!metadata?.STMTL;
+        } catch (error) {
+            if (DEBUG_MODE) console.warn('STCL: Error checking old chat settings:', error);
+            return false;
+        }
+    }
+
+    hasOldGroupSettings(groupId) {
+        if (!groupId) return false;
+        try {
+            const group = groups?.find(x => x.id === groupId);
+            return !!group?.stmtl_settings || !!extension_settings.STMTL?.groupSettings?.[groupId];
+        } catch (error) {
+            if (DEBUG_MODE) console.warn('STCL: Error checking old group settings:', error);
+            return false;
+        }
+    }
+
+    hasOldGroupChatSettings(groupId) {
+        if (!groupId) return false;
+        try {
+            const group = groups?.find(x => x.id === groupId);
+            return !!group?.chat_metadata?.STMTL;
+        } catch (error) {
+            if (DEBUG_MODE) console.warn('STCL: Error checking old group chat settings:', error);
+            return false;
+        }
+    }
+
+    getOldCharacterSettings(characterName) {
+        if (!characterName) return null;
         try {
             const normalizedName = this._normalizeCharacterName(characterName);
             return extension_settings.STMTL?.characterSettings?.[normalizedName] || null;
@@ -742,56 +1421,262 @@ class StorageAdapter {
     }
 }
 
+/**
+ * Registry of resolution layers
+ */
+class LayerRegistry {
+    constructor() {
+        this.layers = new Map();
+        for (const layer of BUILT_IN_LAYERS) {
+            this.register(layer);
+        }
+    }
+
+    register(layer) {
+        if (!layer?.id || !Array.isArray(layer.chatTypes) || !layer.chatTypes.every(type => Object.values(CHAT_TYPES).includes(type)) ||
+            typeof layer.getSettings !== 'function') {
+            throw new Error('STCL: A layer needs an id, chatTypes and a getSettings function');
+        }
+
+        this.layers.set(layer.id, { label: layer.id, source: layer.id, pinnedLast: false, insertFirst: false, ...layer });
+    }
+
+    get(id) {
+        return this.layers.get(id) || null;
+    }
+
+    unregister(id) {
+        return this.layers.delete(id);
+    }
+
+    /**
+     * Returns the ordered layer ids for a chat type: the saved chain without
+     * unknown ids, followed by any registered layers the chain doesn't list yet,
+     * followed by the pinned layers. Unlisted insertFirst layers go in front instead.
+     */
+    getChain(savedChain, chatType) {
+        const layers = [...this.layers.values()].filter(layer => layer.chatTypes.includes(chatType));
+        const ids = layers.filter(layer => !layer.pinnedLast).map(layer => layer.id);
+        const pinned = layers.filter(layer => layer.pinnedLast).map(layer => layer.id);
+        const chain = (Array.isArray(savedChain) ? savedChain : []).filter(id => ids.includes(id));
+        const leading = layers
+            .filter(layer => layer.insertFirst && !layer.pinnedLast && !chain.includes(layer.id))
+            .map(layer => layer.id);
+
+        return lodash.uniq([...leading, ...chain, ...ids, ...pinned]);
+    }
+}
+
+/**
+ * Evaluates conditional lock rules against the open chat
+ */
+class RuleEngine {
+    /**
+     * pendingMessage is a user message being sent that isn't in the chat yet;
+     * it counts as the last user message and as one more message.
+     */
+    getChatState(pendingMessage = '') {
+        const chat = getContext()?.chat || [];
+        const lastUserMessage = [...chat].reverse().find(message => message?.is_user && !message?.is_system);
+
+        return {
+            messageCount: chat.length + (pendingMessage ? 1 : 0),
+            lastUserMessage: pendingMessage || lastUserMessage?.mes || '',
+            now: new Date()
+        };
+    }
+
+    /**
+     * Returns whether the rule matches and the result of each of its conditions.
+     * A rule without conditions never matches.
+     */
+    evaluateRule(rule, state) {
+        const conditions = (rule.conditions || []).map(condition => ({
+            label: this.describeCondition(condition),
+            passed: this._checkCondition(condition, state)
+        }));
+
+        const matched = conditions.length > 0 && (rule.match === RULE_MATCH_MODES.ANY ?
+            conditions.some(condition => condition.passed) :
+            conditions.every(condition => condition.passed));
+
+        return { matched, conditions };
+    }
+
+    /**
+     * The first enabled rule, in list order, that matches and has a lock.
+     */
+    findMatchingRule(rules, state = this.getChatState()) {
+        return (rules || []).find(rule => rule.enabled && rule.lock && this.evaluateRule(rule, state).matched) || null;
+    }
+
+    describeCondition(condition) {
+        switch (condition.type) {
+            case RULE_CONDITION_TYPES.MESSAGE_COUNT:
+                return `Chat has at least ${condition.min} messages`;
+            case RULE_CONDITION_TYPES.LAST_USER_MESSAGE_CONTAINS:
+                return `Last user message contains "${condition.text}"`;
+            case RULE_CONDITION_TYPES.TIME_RANGE:
+                return `Time is between ${condition.from} and ${condition.to}`;
+            default:
+                return `Unknown condition "${condition.type}"`;
+        }
+    }
+
+    _checkCondition(condition, state) {
+        switch (condition.type) {
+            case RULE_CONDITION_TYPES.MESSAGE_COUNT:
+                return state.messageCount >= Number(condition.min);
+            case RULE_CONDITION_TYPES.LAST_USER_MESSAGE_CONTAINS:
+                return !!condition.text && state.lastUserMessage.toLowerCase().includes(String(condition.text).toLowerCase());
+            case RULE_CONDITION_TYPES.TIME_RANGE:
+                return this._isInTimeRange(condition.from, condition.to, state.now);
+            default:
+                return false;
+        }
+    }
+
+    _isInTimeRange(from, to, now) {
+        const toMinutes = (time) => {
+            const [hours, minutes] = String(time).split(':').map(Number);
+            return hours * 60 + (minutes || 0);
+        };
+
+        const start = toMinutes(from);
+        const end = toMinutes(to);
+        const current = now.getHours() * 60 + now.getMinutes();
+        if (isNaN(start) || isNaN(end)) return false;
+
+        // Ranges such as 22:00-06:00 wrap around midnight
+        return start <= end ? current >= start && current < end : current >= start || current < end;
+    }
+}
+
 /**
  * Settings priority resolution
  */
 class SettingsPriorityResolver {
-    constructor(extensionSettings) {
+    constructor(extensionSettings, layers) {
         this.extensionSettings = extensionSettings;
+        this.layers = layers;
     }
 
+    /**
+     * Resolves each lock field separately: the highest-priority layer that has
+     * the field set wins it. fieldSources maps each resolved field to its layer,
+     * and trace explains, in chain order, why each layer was chosen or skipped.
+     */
     resolve(context, availableSettings) {
-        if (context.isGroupChat) {
-            return this._resolveGroupSettings(context, availableSettings);
-        } else {
-            return this._resolveSingleSettings(context, availableSettings);
-        }
+        const trace = [];
+        const resolved = this._mergeLayers(this._getLayers(context, availableSettings, trace));
+        this._explainTrace(trace, resolved);
+        return { ...resolved, trace };
+    }
+
+    getChain(context) {
+        const chatType = context.isGroupChat ? CHAT_TYPES.GROUP : CHAT_TYPES.SINGLE;
+        const savedChain = this.extensionSettings.moduleSettings[PRIORITY_CHAIN_SETTINGS[chatType]];
+        return this.layers.getChain(savedChain, chatType);
     }
 
-    _resolveGroupSettings(context, settings) {
+    _getLayers(context, availableSettings, trace = []) {
         const prefs = this.extensionSettings.moduleSettings;
-        const { group, chat, individual } = settings;
+        const layers = [];
+
+        for (const id of this.getChain(context)) {
+            const layer = this.layers.get(id);
+            const entry = {
+                id,
+                label: layer.label,
+                enabled: !layer.enabledSetting || !!prefs[layer.enabledSetting],
+                hasValue: false,
+                chosen: false,
+                reason: ''
+            };
+            trace.push(entry);
+
+            if (!entry.enabled) {
+                entry.reason = `Disabled (${layer.enabledSetting} is off)`;
+                continue;
+            }
 
-        if (prefs.preferIndividualCharacterInGroup && individual) {
-            return { settings: individual, source: SETTING_SOURCES.INDIVIDUAL };
+            try {
+                const settings = layer.getSettings(availableSettings, context);
+                if (settings) {
+                    const source = layer.getSource ? layer.getSource(availableSettings, context) : layer.source;
+                    layers.push({ id, settings, source });
+                    entry.hasValue = true;
+                } else {
+                    entry.reason = 'No lock saved';
+                }
+            } catch (error) {
+                console.warn(`STCL: Layer "${id}" failed to provide settings:`, error);
+                entry.reason = `Failed: ${error.message}`;
+            }
         }
 
-        if (prefs.preferGroupOverChat) {
-            if (group) return { settings: group, source: SETTING_SOURCES.GROUP };
-            if (chat) return { settings: chat, source: `${SETTING_SOURCES.GROUP_CHAT} (fallback)` };
-            if (individual) return { settings: individual, source: `${SETTING_SOURCES.INDIVIDUAL} (fallback)` };
-        } else {
-            if (chat) return { settings: chat, source: SETTING_SOURCES.GROUP_CHAT };
-            if (group) return { settings: group, source: `${SETTING_SOURCES.GROUP} (fallback)` };
-            if (individual) return { settings: individual, source: `${SETTING_SOURCES.INDIVIDUAL} (fallback)` };
+        // On its own, the default lock only applies when the user opted in
+        if (!prefs.applyDefaultLockWhenUnlocked && layers.length > 0 && layers.every(layer => layer.id === 'default')) {
+            const entry = trace.find(x => x.id === 'default');
+            entry.reason = 'Skipped: no other lock exists and applying the default lock to unlocked chats is off';
+            entry.skippedDefault = true;
+            return [];
         }
 
-        return { settings: null, source: 'none' };
+        return layers;
     }
 
-    _resolveSingleSettings(context, settings) {
-        const prefs = this.extensionSettings.moduleSettings;
-        const { character, chat } = settings;
+    _explainTrace(trace, resolved) {
+        for (const entry of trace) {
+            if (!entry.hasValue || entry.skippedDefault) continue;
 
-        if (prefs.preferCharacterOverChat) {
-            if (character) return { settings: character, source: SETTING_SOURCES.CHARACTER };
-            if (chat) return { settings: chat, source: `${SETTING_SOURCES.CHAT} (fallback)` };
-        } else {
-            if (chat) return { settings: chat, source: SETTING_SOURCES.CHAT };
-            if (character) return { settings: character, source: `${SETTING_SOURCES.CHARACTER} (fallback)` };
+            const wonFields = LOCK_FIELDS
+                .filter(field => resolved.layerIds?.[field.key] === entry.id)
+                .map(field => field.label);
+
+            entry.chosen = wonFields.length > 0;
+            entry.reason = entry.chosen ?
+                `Chosen for ${wonFields.join(', ')}` :
+                'Skipped: every field it sets is already set by a higher layer';
+        }
+    }
+
+    _mergeLayers(layers) {
+        const settings = {};
+        const fieldSources = {};
+        const layerIds = {};
+        const contributors = [];
+
+        for (const field of LOCK_FIELDS) {
+            const layer = layers.find(x => isLockValueSet(x.settings[field.key]));
+            if (!layer) continue;
+
+            settings[field.key] = lodash.cloneDeep(layer.settings[field.key]);
+            fieldSources[field.key] = layer.source;
+            layerIds[field.key] = layer.id;
+            if (!contributors.includes(layer)) contributors.push(layer);
+        }
+
+        if (contributors.length === 0) {
+            return { settings: null, source: 'none', fieldSources, layerIds, hardFields: [] };
         }
 
-        return { settings: null, source: 'none' };
+        const hardFields = HARD_LOCK_FIELDS.filter(key => layers.find(x => x.id === layerIds[key])?.settings.hard);
+
+        // The newest save among the contributing layers
+        settings.savedAt = contributors
+            .map(layer => layer.settings.savedAt)
+            .filter(Boolean)
+            .sort()
+            .pop() || null;
+
+        return {
+            settings,
+            source: contributors.map(layer => layer.source).join(' + '),
+            fieldSources,
+            layerIds,
+            hardFields
+        };
     }
 }
 
@@ -799,12 +1684,27 @@ class SettingsPriorityResolver {
  * Main settings manager
  */
 class SettingsManager {
-    constructor(storage) {
+    constructor(storage, layers) {
         this.storage = storage;
-        this.priorityResolver = new SettingsPriorityResolver(storage.getExtensionSettings());
+        this.layers = layers;
+        this.priorityResolver = new SettingsPriorityResolver(storage.getExtensionSettings(), layers);
         this.chatContext = new ChatContext();
         this.currentSettings = this._getEmptySettings();
         this._queueProcessingTimeout = null;
+        this.samplerBackup = [];
+        this.activeSamplerOverrides = null;
+        this.ruleEngine = new RuleEngine();
+        this.unlockedSnapshot = null;
+        this.memberLockActive = false;
+        this.memberBaseline = null;
+        this._memberSwitchQueue = Promise.resolve();
+        this.lockDeclined = false;
+        this._liveChangeTimeout = null;
+        this._checkingLiveSettings = false;
+        this.hardLockSuspended = false;
+        this.blockedChanges = [];
+        this.driftIgnored = false;
+        this._driftToast = null;
     }
 
     _getEmptySettings() {
@@ -813,6 +1713,11 @@ class SettingsManager {
             chat: null,
             group: null,
             individual: null,
+            tag: null,
+            tagId: null,
+            rule: null,
+            ruleId: null,
+            default: null,
             groupMembers: []
         };
     }
@@ -822,6 +1727,11 @@ class SettingsManager {
         if (DEBUG_MODE) console.log('STCL: Loading settings for context:', context);
 
         this.currentSettings = this._getEmptySettings();
+        this.currentSettings.default = this.storage.getDefaultLock();
+        this.memberLockActive = false;
+        this.memberBaseline = null;
+        this.lockDeclined = false;
+        this._loadRuleSettings();
 
         if (context.isGroupChat) {
             this._loadGroupSettings(context);
@@ -850,10 +1760,10 @@ class SettingsManager {
             const group = groups?.find(x => x.id === context.groupId);
             if (group?.members && Array.isArray(group.members)) {
                 for (const memberAvatar of group.members) {
-                    // Find character index (chId) for this member
+                    // Find character index (chId) for this member; settings are keyed by avatar
                     const chId = characters?.findIndex(x => x.avatar === memberAvatar);
                     if (chId !== -1 && characters[chId]?.name) {
-                        const memberSettings = this.storage.getCharacterSettings(chId);
+                        const memberSettings = this.storage.getCharacterSettings(memberAvatar);
                         this.currentSettings.groupMembers.push({
                             name: characters[chId].name,
                             avatar: memberAvatar,
@@ -865,70 +1775,347 @@ class SettingsManager {
             }
         }
 
+        if (context.groupId) {
+            this._loadTagSettings(context.groupId);
+        }
+
         // Individual character settings are no longer loaded here - they are applied on-demand during GROUP_MEMBER_DRAFTED
     }
 
-    _loadSingleSettings(context) {
-        const prefs = this.storage.getExtensionSettings().moduleSettings;
+    _loadRuleSettings(rule = this.ruleEngine.findMatchingRule(this.storage.getLockRules())) {
+        this.currentSettings.rule = rule ? { ...rule.lock, ruleName: rule.name } : null;
+        this.currentSettings.ruleId = rule?.id ?? null;
+    }
 
-        if (prefs.enableCharacterMemory && context.characterName) {
-            // Try to find chId for this character
-            const chId = characters?.findIndex(x => x.name === context.characterName);
-            if (chId !== -1) {
-                // Use chId as key
-                this.currentSettings.character = this.storage.getCharacterSettings(chId);
-            } else {
-                // Fallback to character name for backward compatibility
-                this.currentSettings.character = this.storage.getCharacterSettings(context.characterName);
-            }
+    /**
+     * Runs before each generation: rules depend on the chat's messages and the
+     * time, so they can start or stop matching without a context change.
+     */
+    async onBeforeGeneration(type) {
+        const mode = this.storage.getExtensionSettings().moduleSettings.preGenerationCheck || PRE_GENERATION_MODES.OFF;
+
+        if (mode !== PRE_GENERATION_MODES.OFF) {
+            await this._waitForPendingApply();
+        } else if (processingContext || isApplyingSettings) {
+            return;
         }
 
-        if (prefs.enableChatMemory && context.chatId) {
-            this.currentSettings.chat = this.storage.getChatSettings();
+        // SillyTavern adds the user's message after this event, so rules see it as pending
+        const state = this.ruleEngine.getChatState(getPendingUserMessage(type));
+        const rule = this.ruleEngine.findMatchingRule(this.storage.getLockRules(), state);
+        if ((rule?.id ?? null) !== this.currentSettings.ruleId) {
+            if (DEBUG_MODE) console.log('STCL: Matching rule changed before generation:', rule?.name ?? 'none');
+            this._loadRuleSettings(rule);
+
+            if (await this._shouldApplySettingsAutomatically()) {
+                await this.applySettings();
+            }
         }
-    }
 
-    async getSettingsToApply() {
-        const context = this.chatContext.getCurrent();
-        this.priorityResolver = new SettingsPriorityResolver(this.storage.getExtensionSettings());
-        return this.priorityResolver.resolve(context, this.currentSettings);
+        await this._verifyBeforeGeneration(mode, type);
     }
 
-    onContextChanged() {
-        // Add to queue and process asynchronously to prevent race conditions
-        const timestamp = Date.now();
-
-        // Add bounds checking to prevent memory issues
-        if (contextChangeQueue.length >= MAX_CONTEXT_QUEUE_SIZE) {
-            const removed = contextChangeQueue.shift(); // Remove oldest
-            if (DEBUG_MODE) console.warn('STCL: Context change queue full, removed oldest:', new Date(removed).toISOString());
+    /**
+     * Waits for queued context changes, lock applies and member switches
+     * to finish, so generation doesn't start while /profile is still running.
+     */
+    async _waitForPendingApply() {
+        const startedAt = Date.now();
+        while (processingContext || isApplyingSettings || contextChangeQueue.length > 0 || this._queueProcessingTimeout) {
+            if (Date.now() - startedAt > PENDING_APPLY_TIMEOUT) {
+                console.warn('STCL: Timed out waiting for pending lock apply before generation');
+                return false;
+            }
+            await new Promise(resolve => setTimeout(resolve, 50));
         }
 
-        contextChangeQueue.push(timestamp);
-        if (DEBUG_MODE) console.log('STCL: Context change queued', `(queue size: ${contextChangeQueue.length})`);
-        this._processContextChangeQueue();
+        await this._memberSwitchQueue;
+        return true;
     }
 
-    async _processContextChangeQueue() {
-        if (processingContext) {
-            if (DEBUG_MODE) console.log('STCL: Context change already in progress, queued');
-            return;
+    /**
+     * Compares the live state with the resolved lock right before generation
+     * and applies the lock or blocks the generation, depending on the mode.
+     */
+    async _verifyBeforeGeneration(mode, type) {
+        if (mode === PRE_GENERATION_MODES.OFF || mode === PRE_GENERATION_MODES.WAIT || this.lockDeclined) {
+            return true;
         }
 
-        if (contextChangeQueue.length === 0) {
-            return;
+        // Locks that are never auto-applied count as declined
+        if (this.storage.getExtensionSettings().moduleSettings.autoApplyOnContextChange === AUTO_APPLY_MODES.NEVER) {
+            return true;
         }
 
-        processingContext = true;
-        try {
-            // Process the latest context change (discard duplicates)
-            const latestTimestamp = contextChangeQueue[contextChangeQueue.length - 1];
-            const queueSize = contextChangeQueue.length;
-            contextChangeQueue.length = 0;
+        const resolved = await this.getSettingsToApply();
+        if (!resolved.settings) {
+            return true;
+        }
 
-            if (DEBUG_MODE) console.log(`STCL: Processing context change (processed ${queueSize} queued items)`);
-            this.chatContext.invalidate();
-            await this.loadCurrentSettings();
+        // A profile or preset that no longer exists can't be applied, so it can't hold up generation either
+        const lock = withoutMissingLockValues(resolved.settings);
+        if (this._compareSettings(this._getCurrentUISettings(true), lock)) {
+            return true;
+        }
+
+        if (mode === PRE_GENERATION_MODES.APPLY) {
+            if (DEBUG_MODE) console.log(`STCL: Live settings differ from the ${resolved.source} lock, applying before generation`);
+            await this.applySettings();
+            return true;
+        }
+
+        // SillyTavern adds the user's message after this check, so stopping can't take it back
+        const messageKept = !!getPendingUserMessage(type);
+
+        console.warn(`STCL: Blocked generation - live settings differ from the ${resolved.source} lock`);
+        stopGeneration();
+        if (typeof toastr !== 'undefined') {
+            const keptText = messageKept ? ' Your message was still added to the chat; once the settings match, press Send with an empty input to get a reply.' : '';
+            toastr.warning(`Generation blocked: the current connection settings don't match the ${resolved.source} lock. Apply the lock or change the pre-generation check in Character Locks.${keptText}`, MODULE_NAME, { timeOut: 15000 });
+        }
+        return false;
+    }
+
+    /**
+     * Member switches are serialized: GENERATION_ENDED isn't awaited by
+     * SillyTavern and can otherwise race the next GROUP_MEMBER_DRAFTED.
+     */
+    _queueMemberSwitch(task) {
+        this._memberSwitchQueue = this._memberSwitchQueue
+            .then(task)
+            .catch(error => console.error('STCL: Error switching group member settings:', error));
+        return this._memberSwitchQueue;
+    }
+
+    /**
+     * Applies the drafted member's lock on top of the group baseline, or goes
+     * back to the baseline when the member has no lock of their own.
+     */
+    onGroupMemberDrafted(chId) {
+        return this._queueMemberSwitch(async () => {
+            const context = this.chatContext.getCurrent();
+            if (context?.type !== CHAT_TYPES.GROUP) {
+                return;
+            }
+
+            if (typeof chId !== 'number' || chId < 0 || chId >= (characters?.length ?? 0) || !characters[chId]?.name) {
+                console.error('STCL: Invalid drafted character ID:', chId);
+                return;
+            }
+
+            const memberName = characters[chId].name;
+            const individual = this.storage.getCharacterSettings(chId);
+
+            if (!individual) {
+                if (DEBUG_MODE) console.log(`STCL: ${memberName} has no lock, using the group baseline`);
+                await this._restoreGroupBaseline();
+                return;
+            }
+
+            if (DEBUG_MODE) console.log(`STCL: Found individual character settings for ${memberName} in group chat`);
+            this.currentSettings.individual = individual;
+
+            // The drafted character's lock takes part in the group priority chain
+            const resolved = await this.getSettingsToApply();
+            if (!resolved.settings || this._compareSettings(this._getCurrentUISettings(true), resolved.settings)) {
+                if (DEBUG_MODE) console.log('STCL: Resolved group settings already active for drafted character');
+                return;
+            }
+
+            // Respect the auto-apply mode setting
+            const autoApplyMode = this.storage.getExtensionSettings().moduleSettings.autoApplyOnContextChange;
+            if (autoApplyMode === AUTO_APPLY_MODES.NEVER) {
+                if (DEBUG_MODE) console.log('STCL: Auto-apply disabled, skipping character settings application');
+                return;
+            } else if (autoApplyMode === AUTO_APPLY_MODES.ASK && !await this._askUserToApplySettings(context)) {
+                if (DEBUG_MODE) console.log('STCL: User declined to apply character settings');
+                return;
+            }
+
+            // Remember what the member lock replaces, in case the group has no lock for it
+            if (!this.memberLockActive) {
+                const current = this._getCurrentUISettings(true);
+                this.memberBaseline = lodash.pick(current, LOCK_FIELDS.filter(field => !field.manual).map(field => field.key));
+            }
+
+            if (DEBUG_MODE) console.log(`STCL: Applying ${resolved.source} settings for ${memberName} in group chat`);
+            try {
+                isApplyingSettings = true;
+                await this._applySettingsToUI(resolved.settings);
+                this.memberLockActive = true;
+            } finally {
+                isApplyingSettings = false;
+            }
+
+            await this._emitLockEvent(STCL_EVENTS.LOCK_APPLIED, { source: resolved.source, lock: resolved.settings, characterId: chId });
+        });
+    }
+
+    onMemberTurnFinished() {
+        return this._queueMemberSwitch(() => this._restoreGroupBaseline());
+    }
+
+    /**
+     * Goes back to the resolved group / group chat lock after a member lock.
+     * Fields the group doesn't lock return to their value from before the member lock.
+     */
+    async _restoreGroupBaseline() {
+        this.currentSettings.individual = null;
+        if (!this.memberLockActive) {
+            return;
+        }
+
+        const resolved = await this.getSettingsToApply();
+        const baseline = { ...lodash.omitBy(this.memberBaseline || {}, value => !isLockValueSet(value)), ...resolved.settings };
+        this.memberLockActive = false;
+        this.memberBaseline = null;
+
+        await this._revertInactiveSamplerOverrides();
+        if (this._compareSettings(this._getCurrentUISettings(true), baseline)) {
+            return;
+        }
+
+        if (DEBUG_MODE) console.log('STCL: Restoring group baseline after member turn:', baseline);
+        try {
+            isApplyingSettings = true;
+            await this._applySettingsToUI(baseline);
+        } finally {
+            isApplyingSettings = false;
+        }
+
+        await this._emitLockEvent(STCL_EVENTS.LOCK_APPLIED, { source: resolved.source, lock: baseline });
+    }
+
+    saveRule(rule) {
+        const rules = [...this.storage.getLockRules()];
+        const index = rules.findIndex(x => x.id === rule.id);
+
+        if (index === -1) {
+            rules.push(rule);
+        } else {
+            rules[index] = rule;
+        }
+
+        return this.storage.setLockRules(rules);
+    }
+
+    /**
+     * Sets a rule's target lock to the current UI settings.
+     */
+    setRuleLock(ruleId) {
+        const rule = this.storage.getLockRules().find(x => x.id === ruleId);
+        if (!rule) {
+            return false;
+        }
+
+        const lock = this._buildRecord(this._getCurrentUISettings(), rule.lock);
+        if (!this.saveRule({ ...rule, lock })) {
+            return false;
+        }
+
+        this._showSaveNotification(1, [`rule "${rule.name}"`]);
+        return true;
+    }
+
+    deleteRule(ruleId) {
+        const rules = this.storage.getLockRules();
+        if (!rules.some(x => x.id === ruleId)) {
+            return false;
+        }
+
+        return this.storage.setLockRules(rules.filter(x => x.id !== ruleId));
+    }
+
+    moveRule(ruleId, direction) {
+        const rules = [...this.storage.getLockRules()];
+        const index = rules.findIndex(x => x.id === ruleId);
+        const newIndex = index + direction;
+
+        if (index === -1 || newIndex < 0 || newIndex >= rules.length) {
+            return false;
+        }
+
+        [rules[index], rules[newIndex]] = [rules[newIndex], rules[index]];
+        return this.storage.setLockRules(rules);
+    }
+
+    _loadTagSettings(entityKey) {
+        const tagLock = this.storage.findTagLock(entityKey);
+        if (tagLock) {
+            this.currentSettings.tag = tagLock.settings;
+            this.currentSettings.tagId = tagLock.tagId;
+        }
+    }
+
+    _loadSingleSettings(context) {
+        const prefs = this.storage.getExtensionSettings().moduleSettings;
+
+        if (prefs.enableCharacterMemory && context.characterKey) {
+            this.currentSettings.character = this.storage.getCharacterSettings(context.characterKey);
+        }
+
+        if (prefs.enableChatMemory && context.chatId) {
+            this.currentSettings.chat = this.storage.getChatSettings();
+        }
+
+        if (context.characterKey) {
+            this._loadTagSettings(context.characterKey);
+        }
+    }
+
+    async getSettingsToApply() {
+        return this.resolveCurrentLock();
+    }
+
+    /**
+     * Synchronous resolve of the loaded locks, for callers that can't await (macros).
+     * In group chats this includes the drafted member's lock while it's their turn.
+     */
+    resolveCurrentLock() {
+        const context = this.chatContext.getCurrent();
+        this.priorityResolver = new SettingsPriorityResolver(this.storage.getExtensionSettings(), this.layers);
+        return this.priorityResolver.resolve(context, this.currentSettings);
+    }
+
+    onContextChanged() {
+        this._dismissDriftPrompt();
+
+        // Add to queue and process asynchronously to prevent race conditions
+        const timestamp = Date.now();
+
+        // Add bounds checking to prevent memory issues
+        if (contextChangeQueue.length >= MAX_CONTEXT_QUEUE_SIZE) {
+            const removed = contextChangeQueue.shift(); // Remove oldest
+            if (DEBUG_MODE) console.warn('STCL: Context change queue full, removed oldest:', new Date(removed).toISOString());
+        }
+
+        contextChangeQueue.push(timestamp);
+        if (DEBUG_MODE) console.log('STCL: Context change queued', `(queue size: ${contextChangeQueue.length})`);
+        this._processContextChangeQueue();
+    }
+
+    async _processContextChangeQueue() {
+        if (processingContext) {
+            if (DEBUG_MODE) console.log('STCL: Context change already in progress, queued');
+            return;
+        }
+
+        if (contextChangeQueue.length === 0) {
+            return;
+        }
+
+        processingContext = true;
+        try {
+            // Process the latest context change (discard duplicates)
+            const latestTimestamp = contextChangeQueue[contextChangeQueue.length - 1];
+            const queueSize = contextChangeQueue.length;
+            contextChangeQueue.length = 0;
+
+            if (DEBUG_MODE) console.log(`STCL: Processing context change (processed ${queueSize} queued items)`);
+            this.chatContext.invalidate();
+            await this.loadCurrentSettings();
+            await this._revertInactiveSamplerOverrides();
+            await this._restoreUnlockedSnapshot();
 
             // Check for old STMTL settings and show migration popup if needed
             await checkAndShowMigrationPopup();
@@ -974,9 +2161,11 @@ class SettingsManager {
             return false;
         }
 
+        let resolved;
+        let result;
         try {
             isApplyingSettings = true;
-            const resolved = await this.getSettingsToApply();
+            resolved = await this.getSettingsToApply();
 
             if (!resolved.settings) {
                 if (DEBUG_MODE) console.log('STCL: No settings to apply');
@@ -984,12 +2173,84 @@ class SettingsManager {
             }
 
             if (DEBUG_MODE) console.log(`STCL: Applying ${resolved.source} settings:`, resolved.settings);
-            const result = await this._applySettingsToUI(resolved.settings);
+            this._takeUnlockedSnapshot(resolved.settings);
+            result = await this._applySettingsToUI(resolved.settings);
             if (DEBUG_MODE) console.log('STCL: Settings application result:', result);
-            return result;
         } finally {
             isApplyingSettings = false;
         }
+
+        await this._emitLockEvent(STCL_EVENTS.LOCK_APPLIED, { source: resolved.source, lock: resolved.settings });
+        return result;
+    }
+
+    /**
+     * Emits an STCL_EVENTS event with the current chat context added to the payload.
+     */
+    async _emitLockEvent(eventType, payload) {
+        try {
+            await eventSource.emit(eventType, lodash.cloneDeep({ context: this.chatContext.getCurrent(), ...payload }));
+        } catch (error) {
+            console.warn(`STCL: Error emitting ${eventType}:`, error);
+        }
+    }
+
+    /**
+     * Remembers the values a lock is about to replace. Fields already in the
+     * snapshot keep their original value, so moving between locked chats
+     * still restores the state from before the first lock.
+     */
+    _takeUnlockedSnapshot(settings) {
+        if (!this.storage.getExtensionSettings().moduleSettings.restoreSettingsWhenUnlocked) {
+            this.unlockedSnapshot = null;
+            return;
+        }
+
+        const current = this._getCurrentUISettings(true);
+        const snapshot = this.unlockedSnapshot || {};
+        for (const field of LOCK_FIELDS.filter(x => !x.manual)) {
+            if (isLockValueSet(settings[field.key]) && !(field.key in snapshot)) {
+                snapshot[field.key] = current[field.key];
+            }
+        }
+
+        this.unlockedSnapshot = snapshot;
+        if (DEBUG_MODE) console.log('STCL: Unlocked settings snapshot:', snapshot);
+    }
+
+    /**
+     * Puts back the snapshot once the new context has no lock at all.
+     */
+    async _restoreUnlockedSnapshot() {
+        if (!this.unlockedSnapshot) {
+            return false;
+        }
+
+        if (!this.storage.getExtensionSettings().moduleSettings.restoreSettingsWhenUnlocked) {
+            this.unlockedSnapshot = null;
+            return false;
+        }
+
+        const resolved = await this.getSettingsToApply();
+        if (resolved.settings || isApplyingSettings) {
+            return false;
+        }
+
+        const snapshot = this.unlockedSnapshot;
+        this.unlockedSnapshot = null;
+
+        try {
+            isApplyingSettings = true;
+            if (DEBUG_MODE) console.log('STCL: Restoring settings from before the lock:', snapshot);
+            await this._applySettingsToUI(snapshot);
+        } finally {
+            isApplyingSettings = false;
+        }
+
+        if (this.storage.getExtensionSettings().moduleSettings.showNotifications) {
+            this._showToastr('Restored settings from before the lock', 'info');
+        }
+        return true;
     }
 
     async _applySettingsToUI(settings) {
@@ -1012,8 +2273,318 @@ class SettingsManager {
             }
         }
 
-        // Apply the connection profile (which handles completion source automatically)
-        return await this._applyConnectionProfile(settings);
+        // Apply the connection profile (which handles completion source automatically)
+        const profileApplied = await this._applyConnectionProfile(settings);
+
+        // Apply optional fields last so the profile doesn't override them
+        await this._applyLockableFields(settings);
+
+        // Sampler overrides go on top of whatever preset the lock selected
+        this._applySamplerOverrides(settings.samplerOverrides);
+
+        return profileApplied;
+    }
+
+    _applySamplerOverrides(overrides) {
+        if (!isLockValueSet(overrides)) {
+            return;
+        }
+
+        for (const sampler of SAMPLER_OVERRIDES) {
+            const value = overrides[sampler.key];
+            const selector = sampler.selectors[main_api];
+            if (!isLockValueSet(value) || !selector || $(selector).length === 0) continue;
+
+            // Keep the value from before the first override so it can be reverted
+            const backup = this.samplerBackup.find(x => x.selector === selector);
+            if (backup) {
+                backup.value = value;
+            } else {
+                this.samplerBackup.push({ selector, previous: $(selector).val(), value });
+            }
+
+            if (DEBUG_MODE) console.log(`STCL: Overriding ${sampler.label} with ${value}`);
+            $(selector).val(value).trigger('input');
+        }
+
+        this.activeSamplerOverrides = lodash.cloneDeep(overrides);
+    }
+
+    /**
+     * Puts overridden samplers back to their previous values. A sampler that was
+     * changed since (by hand or by another preset) is left alone.
+     */
+    _revertSamplerOverrides() {
+        for (const { selector, previous, value } of this.samplerBackup) {
+            if (Number($(selector).val()) === Number(value)) {
+                if (DEBUG_MODE) console.log(`STCL: Reverting ${selector} to ${previous}`);
+                $(selector).val(previous).trigger('input');
+            }
+        }
+
+        this.samplerBackup = [];
+        this.activeSamplerOverrides = null;
+    }
+
+    async _revertInactiveSamplerOverrides() {
+        if (this.samplerBackup.length === 0) {
+            return;
+        }
+
+        const resolved = await this.getSettingsToApply();
+        if (!lodash.isEqual(resolved.settings?.samplerOverrides ?? null, this.activeSamplerOverrides)) {
+            this._revertSamplerOverrides();
+        }
+    }
+
+    /**
+     * Moves a layer one step up (-1) or down (+1) in the priority chain of the current chat type.
+     */
+    movePriorityLayer(index, direction) {
+        const context = this.chatContext.getCurrent();
+        const chain = [...this.priorityResolver.getChain(context)];
+        const newIndex = index + direction;
+
+        if (index < 0 || index >= chain.length || newIndex < 0 || newIndex >= chain.length) {
+            return false;
+        }
+
+        if (this.layers.get(chain[index]).pinnedLast || this.layers.get(chain[newIndex]).pinnedLast) {
+            return false;
+        }
+
+        [chain[index], chain[newIndex]] = [chain[newIndex], chain[index]];
+
+        const chatType = context.isGroupChat ? CHAT_TYPES.GROUP : CHAT_TYPES.SINGLE;
+        this.storage.getExtensionSettings().moduleSettings[PRIORITY_CHAIN_SETTINGS[chatType]] = chain;
+        this.storage.saveExtensionSettings();
+        return true;
+    }
+
+    /**
+     * Saves the sampler overrides of a lock in the current context and
+     * re-applies whichever overrides are now active.
+     */
+    async setSamplerOverrides(target, overrides) {
+        const context = this.chatContext.getCurrent();
+        const current = this._readLock(context, target);
+
+        if (!current) {
+            console.warn(`STCL: Cannot set sampler overrides of missing ${target} lock`);
+            return false;
+        }
+
+        const value = lodash.isEmpty(overrides) ? null : overrides;
+        const record = this._withHistory({ ...lodash.omit(current, 'history'), samplerOverrides: value, savedAt: moment().toISOString() }, current);
+        if (!await this._writeLock(context, target, record)) {
+            return false;
+        }
+
+        this.currentSettings[target] = lodash.cloneDeep(record);
+
+        this._revertSamplerOverrides();
+        const resolved = await this.getSettingsToApply();
+        this._applySamplerOverrides(resolved.settings?.samplerOverrides);
+        return true;
+    }
+
+    /**
+     * Marks a lock in the current context as hard: while it supplies the
+     * connection profile or preset, changes made outside STCL are reverted.
+     */
+    async setHardLock(target, hard) {
+        const context = this.chatContext.getCurrent();
+        const current = this._readLock(context, target);
+
+        if (!current) {
+            console.warn(`STCL: Cannot change hard lock of missing ${target} lock`);
+            return false;
+        }
+
+        const record = this._withHistory({ ...lodash.omit(current, ['history', 'hard']), ...(hard ? { hard: true } : {}), savedAt: moment().toISOString() }, current);
+        if (!await this._writeLock(context, target, record)) {
+            return false;
+        }
+
+        this.currentSettings[target] = lodash.cloneDeep(record);
+        return true;
+    }
+
+    setHardLockSuspended(suspended) {
+        this.hardLockSuspended = suspended;
+        if (DEBUG_MODE) console.log(`STCL: Hard locks ${suspended ? 'unlocked' : 'enforced again'} for this session`);
+    }
+
+    /**
+     * Called when the preset or connection profile may have changed outside STCL.
+     */
+    onLiveSettingsChanged() {
+        if (processingContext || isApplyingSettings) {
+            return;
+        }
+
+        clearTimeout(this._liveChangeTimeout);
+        this._liveChangeTimeout = setTimeout(() => {
+            this._liveChangeTimeout = null;
+            this._checkLiveSettings().catch(error => console.error('STCL: Error checking live settings:', error));
+        }, LIVE_CHANGE_DELAY);
+    }
+
+    async _checkLiveSettings() {
+        if (processingContext || isApplyingSettings || this._checkingLiveSettings) {
+            return;
+        }
+
+        try {
+            this._checkingLiveSettings = true;
+            if (!await this._enforceHardLock()) {
+                await this._offerDriftUpdate();
+            }
+        } finally {
+            this._checkingLiveSettings = false;
+        }
+    }
+
+    /**
+     * Reverts changes to fields that come from a hard lock, or asks first.
+     * Returns true when a change was reverted.
+     */
+    async _enforceHardLock() {
+        if (this.hardLockSuspended || this.lockDeclined) {
+            return false;
+        }
+
+        const resolved = await this.getSettingsToApply();
+        if (!resolved.settings) {
+            return false;
+        }
+
+        // A deleted profile or preset can't be reverted to, so it isn't enforced
+        const lock = withoutMissingLockValues(resolved.settings);
+        const hardFields = (resolved.hardFields || []).filter(key => isLockValueSet(lock[key]));
+        const current = this._getCurrentUISettings(true);
+        const changes = hardFields
+            .filter(key => current[key] !== lock[key])
+            .map(key => ({
+                label: LOCK_FIELDS.find(field => field.key === key).label,
+                locked: lock[key],
+                attempted: current[key] || 'None'
+            }));
+
+        if (changes.length === 0) {
+            return false;
+        }
+
+        const summary = changes.map(change => `${change.label} "${change.attempted}"`).join(' and ');
+
+        if (this.storage.getExtensionSettings().moduleSettings.hardLockAction === HARD_LOCK_ACTIONS.ASK) {
+            const message = `<h3>🔒 Hard Lock</h3><p>The ${resolved.source} lock is a hard lock, but ${summary} was selected.</p><p>Revert to the locked settings?</p>`;
+            const result = await callGenericPopup(message, POPUP_TYPE.CONFIRM, '', { okButton: 'Revert', cancelButton: 'Unlock for This Session' });
+            if (result !== POPUP_RESULT.AFFIRMATIVE) {
+                this.setHardLockSuspended(true);
+                return false;
+            }
+        }
+
+        if (DEBUG_MODE) console.log(`STCL: Hard lock reverting ${summary}`);
+        try {
+            isApplyingSettings = true;
+            await this._applySettingsToUI(lodash.pick(lock, hardFields));
+        } finally {
+            isApplyingSettings = false;
+        }
+
+        await this._emitLockEvent(STCL_EVENTS.LOCK_APPLIED, { source: resolved.source, lock: resolved.settings });
+
+        const blockedAt = moment().toISOString();
+        this.blockedChanges = [
+            ...changes.map(change => ({ ...change, source: resolved.source, blockedAt })),
+            ...this.blockedChanges
+        ].slice(0, MAX_BLOCKED_CHANGES);
+
+        // Always shown, even with notifications off, so a revert is never silent
+        this._showToastr(`Hard lock blocked ${summary}, kept the ${resolved.source} lock`, 'warning');
+        return true;
+    }
+
+    /**
+     * Offers to update the lock once live settings stop matching it. Shown as
+     * a toast with buttons, so it doesn't interrupt chatting.
+     */
+    async _offerDriftUpdate() {
+        this._dismissDriftPrompt();
+
+        const moduleSettings = this.storage.getExtensionSettings().moduleSettings;
+        if (!moduleSettings.promptOnDrift || this.driftIgnored || this.lockDeclined || typeof toastr === 'undefined') {
+            return false;
+        }
+
+        const resolved = await this.getSettingsToApply();
+        if (!resolved.settings || this._compareSettings(this._getCurrentUISettings(true), resolved.settings)) {
+            return false;
+        }
+
+        // Same targets as the Set buttons: 'character' is the group lock in group chats
+        const context = this.chatContext.getCurrent();
+        const targets = [];
+        if (context.isGroupChat ? moduleSettings.enableGroupMemory && context.groupId : moduleSettings.enableCharacterMemory && context.characterKey) {
+            targets.push({ key: 'character', label: context.isGroupChat ? 'Group' : 'Character' });
+        }
+        if (moduleSettings.enableChatMemory && (context.isGroupChat ? context.groupId : context.chatId)) {
+            targets.push({ key: 'chat', label: 'Chat' });
+        }
+
+        if (targets.length === 0) {
+            return false;
+        }
+
+        // SillyTavern escapes toast HTML, so the buttons are added as nodes
+        const toast = toastr.info(`Settings no longer match the ${resolved.source} lock.`, MODULE_NAME, { timeOut: 0, extendedTimeOut: 0, closeButton: true, tapToDismiss: false });
+        this._driftToast = toast;
+
+        const buttons = $('<div class="flex-container"></div>');
+        for (const target of targets) {
+            buttons.append($('<div class="menu_button stcl-drift-update"></div>').attr('data-target', target.key).text(`Update ${target.label} Lock`));
+        }
+        buttons.append($('<div class="menu_button stcl-drift-ignore"></div>').text('Ignore for This Session'));
+        toast.find('.toast-message').append(buttons);
+
+        toast.find('.stcl-drift-update').on('click', async (event) => {
+            this._dismissDriftPrompt();
+            try {
+                await this.saveCurrentUISettings({ [$(event.currentTarget).data('target')]: true });
+            } catch (error) {
+                console.error('STCL: Error updating lock after drift:', error);
+            }
+        });
+        toast.find('.stcl-drift-ignore').on('click', () => {
+            this.driftIgnored = true;
+            this._dismissDriftPrompt();
+        });
+
+        if (DEBUG_MODE) console.log(`STCL: Live settings drifted from the ${resolved.source} lock`);
+        return true;
+    }
+
+    _dismissDriftPrompt() {
+        if (this._driftToast) {
+            toastr.clear(this._driftToast);
+            this._driftToast = null;
+        }
+    }
+
+    async _applyLockableFields(settings) {
+        for (const field of LOCKABLE_FIELDS) {
+            const value = settings[field.key];
+            if (!isLockValueSet(value) || fieldMatches(field, field.getCurrent(), value)) continue;
+
+            try {
+                if (DEBUG_MODE) console.log(`STCL: Applying saved ${field.label}:`, value);
+                await field.apply(value);
+            } catch (error) {
+                console.warn(`STCL: Failed to apply ${field.label} "${value}":`, error);
+            }
+        }
     }
 
     async _applyConnectionProfile(settings) {
@@ -1041,40 +2612,49 @@ class SettingsManager {
 
         if (context.isGroupChat) {
             if (targets.character && context.groupId) {
-                if (await this.storage.setGroupSettings(context.groupId, uiSettings)) {
-                    this.currentSettings.group = lodash.cloneDeep(uiSettings);
+                const record = this._buildRecord(uiSettings, this._readLock(context, 'group'));
+                if (await this._writeLock(context, 'group', record)) {
+                    this.currentSettings.group = lodash.cloneDeep(record);
                     savedCount++;
                     savedTypes.push(SETTING_SOURCES.GROUP);
                 }
             }
             if (targets.chat && context.groupId) {
-                if (await this.storage.setGroupChatSettings(context.groupId, uiSettings)) {
-                    this.currentSettings.chat = lodash.cloneDeep(uiSettings);
+                const record = this._buildRecord(uiSettings, this._readLock(context, 'chat'));
+                if (await this._writeLock(context, 'chat', record)) {
+                    this.currentSettings.chat = lodash.cloneDeep(record);
                     savedCount++;
                     savedTypes.push(SETTING_SOURCES.GROUP_CHAT);
                 }
             }
         } else {
-            if (targets.character && context.characterName) {
-                // Try to find chId for this character
-                const chId = characters?.findIndex(x => x.name === context.characterName);
-                const characterKey = chId !== -1 ? chId : context.characterName;
-
-                if (this.storage.setCharacterSettings(characterKey, uiSettings)) {
-                    this.currentSettings.character = lodash.cloneDeep(uiSettings);
+            if (targets.character && context.characterKey) {
+                const record = this._buildRecord(uiSettings, this._readLock(context, 'character'));
+                if (await this._writeLock(context, 'character', record)) {
+                    this.currentSettings.character = lodash.cloneDeep(record);
                     savedCount++;
                     savedTypes.push(SETTING_SOURCES.CHARACTER);
                 }
             }
             if (targets.chat && context.chatId) {
-                if (this.storage.setChatSettings(uiSettings)) {
-                    this.currentSettings.chat = lodash.cloneDeep(uiSettings);
+                const record = this._buildRecord(uiSettings, this._readLock(context, 'chat'));
+                if (await this._writeLock(context, 'chat', record)) {
+                    this.currentSettings.chat = lodash.cloneDeep(record);
                     savedCount++;
                     savedTypes.push(SETTING_SOURCES.CHAT);
                 }
             }
         }
 
+        if (targets.default) {
+            const record = this._buildRecord(uiSettings, this._readLock(context, 'default'));
+            if (await this._writeLock(context, 'default', record)) {
+                this.currentSettings.default = lodash.cloneDeep(record);
+                savedCount++;
+                savedTypes.push(SETTING_SOURCES.DEFAULT);
+            }
+        }
+
         // Clean up old STMTL settings for what was just saved
         await this._cleanupOldSTMTLSettings(context, targets, savedTypes);
 
@@ -1082,6 +2662,218 @@ class SettingsManager {
         return savedCount > 0;
     }
 
+    /**
+     * Restores an earlier revision of a lock in the current context.
+     * target is a currentSettings key: 'character', 'group' or 'chat'.
+     */
+    async restoreRevision(target, index) {
+        const context = this.chatContext.getCurrent();
+        const current = this._readLock(context, target);
+        const revision = current?.history?.[index];
+
+        if (!revision) {
+            console.warn(`STCL: No ${target} revision at index ${index}`);
+            return false;
+        }
+
+        const record = this._withHistory({ ...lodash.omit(revision, 'history'), savedAt: moment().toISOString() }, current);
+        if (!await this._writeLock(context, target, record)) {
+            return false;
+        }
+
+        this.currentSettings[target] = lodash.cloneDeep(record);
+        this._showToastr(`Restored ${target} lock from ${formatSavedAt(revision.savedAt)}`, 'success');
+        return true;
+    }
+
+    /**
+     * Builds a new lock record from captured UI settings. Fields the previous
+     * revision had explicitly unset stay unset, so re-saving keeps a partial lock partial.
+     */
+    _buildRecord(uiSettings, previous) {
+        const settings = { ...uiSettings };
+        for (const field of LOCK_FIELDS) {
+            if (previous?.[field.key] === null) {
+                settings[field.key] = null;
+            } else if (field.manual && previous?.[field.key] !== undefined) {
+                settings[field.key] = lodash.cloneDeep(previous[field.key]);
+            }
+        }
+
+        if (previous?.hard) {
+            settings.hard = true;
+        }
+
+        return this._withHistory(settings, previous);
+    }
+
+    /**
+     * Locks or unsets a single field of an existing lock in the current context.
+     * Locking a field captures its current UI value.
+     */
+    async setLockField(target, key, locked) {
+        const context = this.chatContext.getCurrent();
+        const current = this._readLock(context, target);
+        const field = LOCK_FIELDS.find(x => x.key === key);
+
+        if (!current || !field) {
+            console.warn(`STCL: Cannot change field ${key} of missing ${target} lock`);
+            return false;
+        }
+
+        const value = locked ? this._getCurrentUISettings(true)[key] : null;
+        if (locked && !isLockValueSet(value)) {
+            this._showToastr(`No current ${field.label} to lock`, 'warning');
+            return false;
+        }
+
+        const record = this._withHistory({ ...lodash.omit(current, 'history'), [key]: value, savedAt: moment().toISOString() }, current);
+        if (!await this._writeLock(context, target, record)) {
+            return false;
+        }
+
+        this.currentSettings[target] = lodash.cloneDeep(record);
+        return true;
+    }
+
+    _withHistory(settings, previous) {
+        if (!previous) {
+            return { ...settings, history: [] };
+        }
+
+        const history = [lodash.omit(previous, 'history'), ...(previous.history || [])];
+        return { ...settings, history: history.slice(0, MAX_LOCK_HISTORY) };
+    }
+
+    async _writeLock(context, target, record) {
+        if (!await this._storeLock(context, target, record)) {
+            return false;
+        }
+
+        await this._emitLockEvent(STCL_EVENTS.LOCK_SAVED, { target, source: getLockSource(context, target), lock: record });
+        return true;
+    }
+
+    /**
+     * Updates a lock from the lock manager, which can belong to any character,
+     * group or chat. changes maps lock fields to new values; null unsets a field.
+     * Returns the saved record, or null.
+     */
+    async updateLockEntry(entry, changes) {
+        const current = entry.settings;
+        const record = this._withHistory({ ...lodash.omit(current, 'history'), ...changes, savedAt: moment().toISOString() }, current);
+        if (!await this._storeLockEntry(entry, record)) {
+            return null;
+        }
+
+        await this.loadCurrentSettings();
+        await this._emitLockEvent(STCL_EVENTS.LOCK_SAVED, { target: entry.kind, source: LOCK_ENTRY_SOURCES[entry.kind], lock: record, entry: lodash.omit(entry, 'settings') });
+        return record;
+    }
+
+    async deleteLockEntry(entry) {
+        if (!await this._storeLockEntry(entry, null)) {
+            return false;
+        }
+
+        await this.loadCurrentSettings();
+        await this._revertInactiveSamplerOverrides();
+        await this._emitLockEvent(STCL_EVENTS.LOCK_CLEARED, { target: entry.kind, source: LOCK_ENTRY_SOURCES[entry.kind], entry: lodash.omit(entry, 'settings') });
+        return true;
+    }
+
+    /**
+     * Saves the lock of any character, not only the open one. characterKey is
+     * a chId or avatar key; values holds the connectionProfile and preset.
+     */
+    async saveCharacterLock(characterKey, values) {
+        const previous = this.storage.getCharacterSettings(characterKey);
+        const record = this._withHistory({
+            ...lodash.omit(previous || {}, 'history'),
+            connectionProfile: values.connectionProfile || null,
+            preset: values.preset || null,
+            savedAt: moment().toISOString()
+        }, previous);
+
+        if (!await this.storage.setCharacterSettings(characterKey, record)) {
+            return false;
+        }
+
+        await this.loadCurrentSettings();
+        this._showSaveNotification(1, [SETTING_SOURCES.CHARACTER]);
+        await this._emitLockEvent(STCL_EVENTS.LOCK_SAVED, { target: 'character', source: SETTING_SOURCES.CHARACTER, lock: record, characterKey });
+        return true;
+    }
+
+    async clearCharacterLock(characterKey) {
+        if (!await this.storage.deleteCharacterSettings(characterKey)) {
+            return false;
+        }
+
+        await this.loadCurrentSettings();
+        await this._revertInactiveSamplerOverrides();
+        this._showToastr('Character settings cleared', 'info');
+        await this._emitLockEvent(STCL_EVENTS.LOCK_CLEARED, { target: 'character', source: SETTING_SOURCES.CHARACTER, characterKey });
+        return true;
+    }
+
+    async _storeLockEntry(entry, record) {
+        switch (entry.kind) {
+            case 'character':
+                return record ?
+                    await this.storage.setCharacterSettings(entry.characterKey, record) :
+                    await this.storage.deleteCharacterSettings(entry.characterKey);
+            case 'group':
+                return record ?
+                    await this.storage.setGroupSettings(entry.groupId, record) :
+                    await this.storage.deleteGroupSettings(entry.groupId);
+            case 'groupChat':
+                return await this.storage.setGroupChatLock(entry.groupId, entry.chatId, record);
+            case 'chat':
+                return await this.storage.setCharacterChatLock(entry.chId, entry.chatId, record);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Reads the stored lock of a target in a context. Unlike currentSettings,
+     * this doesn't depend on the memory toggles, so saves keep the lock's history.
+     */
+    _readLock(context, target) {
+        switch (target) {
+            case 'character':
+                return context.characterKey ? this.storage.getCharacterSettings(context.characterKey) : null;
+            case 'group':
+                return context.groupId ? this.storage.getGroupSettings(context.groupId) : null;
+            case 'chat':
+                return context.isGroupChat ?
+                    this.storage.getGroupChatSettings(context.groupId) :
+                    this.storage.getChatSettings();
+            case 'default':
+                return this.storage.getDefaultLock();
+            default:
+                return null;
+        }
+    }
+
+    async _storeLock(context, target, record) {
+        switch (target) {
+            case 'character':
+                return !!context.characterKey && await this.storage.setCharacterSettings(context.characterKey, record);
+            case 'group':
+                return !!context.groupId && await this.storage.setGroupSettings(context.groupId, record);
+            case 'chat':
+                return context.isGroupChat ?
+                    await this.storage.setGroupChatSettings(context.groupId, record) :
+                    this.storage.setChatSettings(record);
+            case 'default':
+                return this.storage.setDefaultLock(record);
+            default:
+                return false;
+        }
+    }
+
     async _cleanupOldSTMTLSettings(context, targets, savedTypes) {
         try {
             if (context.isGroupChat) {
@@ -1108,52 +2900,123 @@ class SettingsManager {
     }
 
 
+    /**
+     * Saves the current UI settings as the lock for a tag, keeping its priority.
+     */
+    async saveTagLock(tagId) {
+        const previous = this.storage.getTagLock(tagId);
+        const record = this._buildRecord(this._getCurrentUISettings(), previous);
+        record.priority = Number(previous?.priority) || 0;
+
+        if (!this.storage.setTagLock(tagId, record)) {
+            return false;
+        }
+
+        this._showSaveNotification(1, [`tag "${getTagName(tagId)}"`]);
+        await this._emitLockEvent(STCL_EVENTS.LOCK_SAVED, { target: 'tag', tagId, source: `${SETTING_SOURCES.TAG} "${getTagName(tagId)}"`, lock: record });
+        return true;
+    }
+
+    async clearTagLock(tagId) {
+        if (!this.storage.deleteTagLock(tagId)) {
+            return false;
+        }
+
+        this._showToastr(`Tag "${getTagName(tagId)}" lock cleared`, 'info');
+        await this._emitLockEvent(STCL_EVENTS.LOCK_CLEARED, { target: 'tag', tagId, source: `${SETTING_SOURCES.TAG} "${getTagName(tagId)}"` });
+        return true;
+    }
+
+    setTagLockPriority(tagId, priority) {
+        const current = this.storage.getTagLock(tagId);
+        if (!current) {
+            return false;
+        }
+
+        return this.storage.setTagLock(tagId, { ...current, priority: Number(priority) || 0 });
+    }
+
+    async clearDefaultLock() {
+        if (!this.storage.deleteDefaultLock()) {
+            return false;
+        }
+
+        this.currentSettings.default = null;
+        this._showToastr('Default lock cleared', 'info');
+        await this._revertInactiveSamplerOverrides();
+        await this._emitLockEvent(STCL_EVENTS.LOCK_CLEARED, { target: 'default', source: SETTING_SOURCES.DEFAULT });
+        return true;
+    }
+
     async clearAllSettings() {
+        return await this.clearSettings({ character: true, chat: true });
+    }
+
+    /**
+     * Clears locks in the current context. Takes the same targets as
+     * saveCurrentUISettings: in group chats, 'character' is the group lock.
+     */
+    async clearSettings(targets = {}) {
         const context = this.chatContext.getCurrent();
         let clearedCount = 0;
         const clearedTypes = [];
 
         if (context.isGroupChat) {
-            if (context.groupId && await this.storage.deleteGroupSettings(context.groupId)) {
+            if (targets.character && context.groupId && await this.storage.deleteGroupSettings(context.groupId)) {
                 this.currentSettings.group = null;
                 clearedCount++;
                 clearedTypes.push(SETTING_SOURCES.GROUP);
             }
-            if (context.chatId && await this.storage.deleteGroupChatSettings(context.groupId)) {
+            if (targets.chat && context.chatId && await this.storage.deleteGroupChatSettings(context.groupId)) {
                 this.currentSettings.chat = null;
                 clearedCount++;
                 clearedTypes.push(SETTING_SOURCES.GROUP_CHAT);
             }
         } else {
-            if (context.characterName) {
-                // Use chId if available, fall back to character name
-                const chId = characters?.findIndex(x => x.name === context.characterName);
-                const characterKey = chId !== -1 ? chId : context.characterName;
-
-                if (this.storage.deleteCharacterSettings(characterKey)) {
+            if (targets.character && context.characterKey) {
+                if (await this.storage.deleteCharacterSettings(context.characterKey)) {
                     this.currentSettings.character = null;
                     clearedCount++;
                     clearedTypes.push(SETTING_SOURCES.CHARACTER);
                 }
             }
-            if (context.chatId && this.storage.deleteChatSettings()) {
+            if (targets.chat && context.chatId && this.storage.deleteChatSettings()) {
                 this.currentSettings.chat = null;
                 clearedCount++;
                 clearedTypes.push(SETTING_SOURCES.CHAT);
             }
         }
 
-        // Note: Individual clear buttons handle their own STMTL cleanup
+        // Clean up old STMTL settings for what was just cleared
+        await this._cleanupOldSTMTLSettings(context, targets, clearedTypes);
+
+        await this._revertInactiveSamplerOverrides();
 
         if (clearedCount > 0) {
             const typeText = clearedTypes.join(' & ');
-            this._showToastr(`${typeText} settings cleared`, 'info');
+            this._showToastr(`${lodash.upperFirst(typeText)} settings cleared`, 'info');
+        }
+
+        for (const source of clearedTypes) {
+            const target = [SETTING_SOURCES.CHAT, SETTING_SOURCES.GROUP_CHAT].includes(source) ? 'chat' : (context.isGroupChat ? 'group' : 'character');
+            await this._emitLockEvent(STCL_EVENTS.LOCK_CLEARED, { target, source });
         }
 
         return clearedCount;
     }
 
-    _getCurrentUISettings() {
+    /**
+     * The live settings as a lock would capture them.
+     */
+    getCurrentUISettings() {
+        return this._getCurrentUISettings();
+    }
+
+    /**
+     * Captures the live UI state. Optional fields are included when their
+     * "include in lock" toggle is on, or always when includeAllFields is set (for comparisons).
+     */
+    _getCurrentUISettings(includeAllFields = false) {
         try {
             // Get current preset name
             const presetManager = getPresetManager();
@@ -1164,11 +3027,20 @@ class SettingsManager {
             const currentProfile = selectedProfileId ?
                 extension_settings.connectionManager.profiles.find(p => p.id === selectedProfileId)?.name || '' : '';
 
-            return {
+            const uiSettings = {
                 connectionProfile: currentProfile,
-                preset: currentPreset,
-                savedAt: moment().toISOString()
+                preset: currentPreset
             };
+
+            const includeInLock = this.storage.getExtensionSettings().moduleSettings.includeInLock || {};
+            for (const field of LOCKABLE_FIELDS) {
+                if (includeAllFields || includeInLock[field.key]) {
+                    uiSettings[field.key] = field.getCurrent();
+                }
+            }
+
+            uiSettings.savedAt = moment().toISOString();
+            return uiSettings;
         } catch (error) {
             console.error('STCL: Error getting current UI settings:', error);
             // Return safe defaults
@@ -1198,94 +3070,392 @@ class SettingsManager {
         }
     }
 
-    async _shouldApplySettingsAutomatically() {
-        const extensionSettings = this.storage.getExtensionSettings();
-        const context = this.chatContext.getCurrent();
-        const autoApplyMode = extensionSettings.moduleSettings.autoApplyOnContextChange;
+    async _shouldApplySettingsAutomatically() {
+        const extensionSettings = this.storage.getExtensionSettings();
+        const context = this.chatContext.getCurrent();
+        const autoApplyMode = extensionSettings.moduleSettings.autoApplyOnContextChange;
+
+        // Memory toggles are applied by the resolver; default, tag and rule locks
+        // can still supply a lock when every memory toggle is off
+        const resolved = await this.getSettingsToApply();
+        if (!resolved || !resolved.settings) {
+            if (DEBUG_MODE) console.log('STCL: No lock from any layer, skipping auto-apply');
+            return false;
+        }
+
+        // Compare current UI settings with saved settings
+        const currentUISettings = this._getCurrentUISettings(true);
+        const settingsMatch = this._compareSettings(currentUISettings, resolved.settings);
+
+        if (settingsMatch) {
+            return false;
+        }
+
+        // Handle different auto-apply modes
+        switch (autoApplyMode) {
+            case AUTO_APPLY_MODES.NEVER:
+                return false;
+
+            case AUTO_APPLY_MODES.ALWAYS:
+                return true;
+
+            case AUTO_APPLY_MODES.ASK:
+                return await this._askUserToApplySettings(context);
+
+            default:
+                return false;
+        }
+    }
+
+    _compareSettings(current, saved) {
+        try {
+            // Compare connection profiles (unset fields are not part of the lock)
+            if (isLockValueSet(saved.connectionProfile) && current.connectionProfile !== saved.connectionProfile) {
+                return false;
+            }
+
+            // Compare presets
+            if (isLockValueSet(saved.preset) && current.preset !== saved.preset) {
+                return false;
+            }
+
+            if (isLockValueSet(saved.samplerOverrides) && !samplerOverridesMatch(saved.samplerOverrides)) {
+                return false;
+            }
+
+            // Compare optional fields the saved lock has a value for
+            // (a current value of null means the field doesn't apply to the active API)
+            for (const field of LOCKABLE_FIELDS) {
+                const savedValue = saved[field.key];
+                const currentValue = current[field.key];
+                if (isLockValueSet(savedValue) && currentValue !== null && !fieldMatches(field, currentValue, savedValue)) {
+                    return false;
+                }
+            }
+
+            return true;
+        } catch (error) {
+            return false; // If we can't compare, assume they don't match
+        }
+    }
+
+    async _askUserToApplySettings(context) {
+        try {
+            // Get the settings that would be applied
+            const resolved = await this.getSettingsToApply();
+
+            if (!resolved.settings) {
+                return false; // No settings to apply
+            }
+
+            const contextType = context.isGroupChat ? 'group chat' : 'character';
+            const sourceName = context.isGroupChat ?
+                (context.groupName || 'Unnamed Group') :
+                (context.characterName || 'Unknown Character');
+
+            const message = `Apply saved ${resolved.source} settings for ${contextType} "${sourceName}"?`;
+
+            // Use SillyTavern's popup system
+            const result = await callGenericPopup(message, POPUP_TYPE.CONFIRM, '', { okButton: 'Apply', cancelButton: 'Skip' });
+
+            // A skipped lock isn't enforced again before generation in this context
+            this.lockDeclined = result !== POPUP_RESULT.AFFIRMATIVE;
+            return result === POPUP_RESULT.AFFIRMATIVE;
+        } catch (error) {
+            console.error('STCL: Error asking user to apply settings:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Portable export/import of character, group and chat locks
+ */
+class LockBundleService {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Builds the export file and lists the chats that couldn't be read. Character chat
+     * locks live in each chat file, so every chat of every character is read:
+     * onProgress(done, total) is called per character, and aborting signal resolves to null.
+     */
+    async buildBundle({ onProgress = null, signal = null } = {}) {
+        const bundle = {
+            format: LOCK_BUNDLE_FORMAT,
+            version: LOCK_BUNDLE_VERSION,
+            exportedAt: moment().toISOString(),
+            characters: this.collectCharacterLocks(),
+            groups: this.collectGroupLocks(),
+            chats: []
+        };
+
+        const failedChats = [];
+        const allCharacters = characters || [];
+        for (const [chId, character] of allCharacters.entries()) {
+            if (signal?.aborted) {
+                return null;
+            }
+            onProgress?.(chId, allCharacters.length);
+
+            const chatLocks = await this.storage.getCharacterChatLocks(chId, failedChats);
+            for (const { chatId, settings } of chatLocks) {
+                bundle.chats.push({ characterAvatar: character.avatar, characterName: character.name, chatId, settings });
+            }
+        }
+
+        return { bundle, failedChats };
+    }
+
+    /**
+     * Character locks as bundle entries; unmatched legacy locks have no avatar.
+     */
+    collectCharacterLocks() {
+        const extensionSettings = this.storage.getExtensionSettings();
+        const entries = [];
+
+        for (const [key, settings] of Object.entries(extensionSettings.characterSettings || {})) {
+            const character = characters?.find(x => x.avatar === key);
+            entries.push({ avatar: character ? key : null, name: character?.name ?? key, settings });
+        }
+
+        // Locks that only exist in character cards
+        if (extensionSettings.moduleSettings.storeLocksInCard) {
+            for (const character of characters || []) {
+                if (extensionSettings.characterSettings?.[character.avatar]) continue;
+                const settings = this.storage.getCardCharacterSettings(character.avatar);
+                if (settings) {
+                    entries.push({ avatar: character.avatar, name: character.name, settings });
+                }
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Group and group chat locks as bundle entries. Both are kept in memory, so this doesn't read any chat files.
+     */
+    collectGroupLocks() {
+        const entries = [];
+        for (const group of groups || []) {
+            const chats = this.storage.getGroupChatLocks(group.id);
+            if (group.stcl_settings || chats.length > 0) {
+                entries.push({ id: group.id, name: group.name, settings: group.stcl_settings || null, chats });
+            }
+        }
+        return entries;
+    }
+
+    validateBundle(bundle) {
+        if (!bundle || typeof bundle !== 'object' || bundle.format !== LOCK_BUNDLE_FORMAT) {
+            throw new Error('Not a Character Locks export file');
+        }
+        if (typeof bundle.version !== 'number' || bundle.version > LOCK_BUNDLE_VERSION) {
+            throw new Error(`Unsupported export version: ${bundle.version}`);
+        }
+        for (const section of ['characters', 'groups', 'chats']) {
+            if (bundle[section] !== undefined && !Array.isArray(bundle[section])) {
+                throw new Error(`Invalid "${section}" section`);
+            }
+        }
+        return true;
+    }
+
+    async planImport(bundle, mode) {
+        const plan = [];
 
-        // Check if we have any memory enabled first
-        const hasMemoryEnabled = context.isGroupChat ?
-            (extensionSettings.moduleSettings.enableGroupMemory || extensionSettings.moduleSettings.enableChatMemory) :
-            (extensionSettings.moduleSettings.enableCharacterMemory || extensionSettings.moduleSettings.enableChatMemory);
+        for (const entry of bundle.characters || []) {
+            if (!isValidLockRecord(entry?.settings)) {
+                plan.push(this._invalid(SETTING_SOURCES.CHARACTER, entry?.name));
+                continue;
+            }
 
-        if (!hasMemoryEnabled) {
-            return false;
+            const character = this._matchCharacter(entry.avatar, entry.name);
+            if (!character) {
+                plan.push(this._unmatched(SETTING_SOURCES.CHARACTER, entry.name, entry.settings, 'No matching character'));
+                continue;
+            }
+            plan.push(this._planEntry({
+                layer: SETTING_SOURCES.CHARACTER,
+                label: character.name,
+                target: { avatar: character.avatar },
+                incoming: entry.settings,
+                existing: this.storage.getCharacterSettings(character.avatar)
+            }, mode));
         }
 
-        // Check if current settings already match saved settings
-        const resolved = await this.getSettingsToApply();
-        if (!resolved || !resolved.settings) {
-            if (DEBUG_MODE) console.log('STCL: No saved settings to apply, skipping auto-apply');
-            return false;
-        }
+        for (const entry of bundle.groups || []) {
+            // A group entry without its own lock can still carry group chat locks
+            if (!lodash.isPlainObject(entry) || (entry.settings !== null && entry.settings !== undefined && !isValidLockRecord(entry.settings)) ||
+                (entry.chats !== undefined && !Array.isArray(entry.chats))) {
+                plan.push(this._invalid(SETTING_SOURCES.GROUP, entry?.name));
+                continue;
+            }
 
-        // Compare current UI settings with saved settings
-        const currentUISettings = this._getCurrentUISettings();
-        const settingsMatch = this._compareSettings(currentUISettings, resolved.settings);
+            const chats = [];
+            for (const chat of entry.chats || []) {
+                if (isValidLockRecord(chat?.settings)) {
+                    chats.push(chat);
+                } else {
+                    plan.push(this._invalid(SETTING_SOURCES.GROUP_CHAT, `${entry.name} / ${chat?.chatId}`));
+                }
+            }
 
-        if (settingsMatch) {
-            return false;
+            const matches = (groups || []).filter(x => x.name === entry.name);
+            if (matches.length !== 1) {
+                const reason = matches.length > 1 ? `Name matches ${matches.length} groups` : 'No matching group';
+                if (entry.settings) plan.push(this._unmatched(SETTING_SOURCES.GROUP, entry.name, entry.settings, reason));
+                for (const chat of chats) {
+                    plan.push(this._unmatched(SETTING_SOURCES.GROUP_CHAT, `${entry.name} / ${chat.chatId}`, chat.settings, reason));
+                }
+                continue;
+            }
+
+            const group = matches[0];
+            if (entry.settings) {
+                plan.push(this._planEntry({
+                    layer: SETTING_SOURCES.GROUP,
+                    label: group.name,
+                    target: { groupId: group.id },
+                    incoming: entry.settings,
+                    existing: this.storage.getGroupSettings(group.id)
+                }, mode));
+            }
+            for (const chat of chats) {
+                const label = `${group.name} / ${chat.chatId}`;
+                if (!group.chats?.includes(chat.chatId)) {
+                    plan.push(this._unmatched(SETTING_SOURCES.GROUP_CHAT, label, chat.settings, 'No matching chat'));
+                    continue;
+                }
+                plan.push(this._planEntry({
+                    layer: SETTING_SOURCES.GROUP_CHAT,
+                    label,
+                    target: { groupId: group.id, chatId: chat.chatId },
+                    incoming: chat.settings,
+                    existing: this.storage.getGroupChatLock(group.id, chat.chatId)
+                }, mode));
+            }
         }
 
-        // Handle different auto-apply modes
-        switch (autoApplyMode) {
-            case AUTO_APPLY_MODES.NEVER:
-                return false;
+        const chatListCache = new Map();
+        for (const entry of bundle.chats || []) {
+            const label = `${entry?.characterName} / ${entry?.chatId}`;
+            if (!isValidLockRecord(entry?.settings)) {
+                plan.push(this._invalid(SETTING_SOURCES.CHAT, label));
+                continue;
+            }
 
-            case AUTO_APPLY_MODES.ALWAYS:
-                return true;
+            const character = this._matchCharacter(entry.characterAvatar, entry.characterName);
+            if (!character) {
+                plan.push(this._unmatched(SETTING_SOURCES.CHAT, label, entry.settings, 'No matching character'));
+                continue;
+            }
 
-            case AUTO_APPLY_MODES.ASK:
-                return await this._askUserToApplySettings(context);
+            const chId = this.storage.getCharacterIndex(character.avatar);
+            if (!chatListCache.has(chId)) {
+                const pastChats = await getPastCharacterChats(chId);
+                chatListCache.set(chId, pastChats.map(x => String(x.file_name).replace(/\.jsonl$/, '')));
+            }
+            if (!chatListCache.get(chId).includes(entry.chatId)) {
+                plan.push(this._unmatched(SETTING_SOURCES.CHAT, label, entry.settings, 'No matching chat'));
+                continue;
+            }
 
-            default:
-                return false;
+            plan.push(this._planEntry({
+                layer: SETTING_SOURCES.CHAT,
+                label: `${character.name} / ${entry.chatId}`,
+                target: { avatar: character.avatar, chatId: entry.chatId },
+                incoming: entry.settings,
+                existing: await this.storage.getCharacterChatLock(chId, entry.chatId)
+            }, mode));
         }
+
+        return plan;
     }
 
-    _compareSettings(current, saved) {
-        try {
-            // Compare connection profiles
-            if (current.connectionProfile !== saved.connectionProfile) {
-                return false;
-            }
+    async applyImport(plan) {
+        let written = 0;
+        let failed = 0;
 
-            // Compare presets
-            if (current.preset !== saved.preset) {
-                return false;
+        for (const item of plan) {
+            if (item.action !== IMPORT_ACTIONS.WRITE) continue;
+
+            let saved = false;
+            try {
+                switch (item.layer) {
+                    case SETTING_SOURCES.CHARACTER:
+                        saved = await this.storage.setCharacterSettings(item.target.avatar, item.incoming);
+                        break;
+                    case SETTING_SOURCES.GROUP:
+                        saved = await this.storage.setGroupSettings(item.target.groupId, item.incoming);
+                        break;
+                    case SETTING_SOURCES.GROUP_CHAT:
+                        saved = await this.storage.setGroupChatLock(item.target.groupId, item.target.chatId, item.incoming);
+                        break;
+                    case SETTING_SOURCES.CHAT: {
+                        const chId = this.storage.getCharacterIndex(item.target.avatar);
+                        saved = chId !== null && await this.storage.setCharacterChatLock(chId, item.target.chatId, item.incoming);
+                        break;
+                    }
+                }
+            } catch (error) {
+                console.error(`STCL: Error importing ${item.layer} lock "${item.label}":`, error);
             }
 
-            return true;
-        } catch (error) {
-            return false; // If we can't compare, assume they don't match
+            if (saved) {
+                written++;
+            } else {
+                failed++;
+            }
         }
+
+        return { written, failed };
     }
 
-    async _askUserToApplySettings(context) {
-        try {
-            // Get the settings that would be applied
-            const resolved = await this.getSettingsToApply();
+    _matchCharacter(avatar, name) {
+        const byAvatar = avatar ? characters?.find(x => x.avatar === avatar) : null;
+        if (byAvatar) {
+            return byAvatar;
+        }
+        const byName = (characters || []).filter(x => x.name === name);
+        return byName.length === 1 ? byName[0] : null;
+    }
 
-            if (!resolved.settings) {
-                return false; // No settings to apply
-            }
+    _planEntry(item, mode) {
+        const { incoming, existing } = item;
 
-            const contextType = context.isGroupChat ? 'group chat' : 'character';
-            const sourceName = context.isGroupChat ?
-                (context.groupName || 'Unnamed Group') :
-                (context.characterName || 'Unknown Character');
+        if (!existing) {
+            return { ...item, action: IMPORT_ACTIONS.WRITE, reason: 'New lock' };
+        }
+        if (lodash.isEqual(existing, incoming)) {
+            return { ...item, action: IMPORT_ACTIONS.SKIP, reason: 'Identical lock already exists' };
+        }
 
-            const message = `Apply saved ${resolved.source} settings for ${contextType} "${sourceName}"?`;
+        switch (mode) {
+            case IMPORT_MODES.SKIP:
+                return { ...item, action: IMPORT_ACTIONS.SKIP, reason: 'Lock already exists' };
 
-            // Use SillyTavern's popup system
-            const result = await callGenericPopup(message, POPUP_TYPE.CONFIRM, '', { okButton: 'Apply', cancelButton: 'Skip' });
+            case IMPORT_MODES.NEWEST:
+                if (!moment(incoming?.savedAt).isAfter(moment(existing.savedAt))) {
+                    return { ...item, action: IMPORT_ACTIONS.SKIP, reason: 'Existing lock is newer' };
+                }
+                return { ...item, action: IMPORT_ACTIONS.WRITE, reason: 'Replaces older lock' };
 
-            return result === POPUP_RESULT.AFFIRMATIVE;
-        } catch (error) {
-            console.error('STCL: Error asking user to apply settings:', error);
-            return false;
+            case IMPORT_MODES.OVERWRITE:
+            default:
+                return { ...item, action: IMPORT_ACTIONS.WRITE, reason: 'Replaces existing lock' };
         }
     }
+
+    _unmatched(layer, label, incoming, reason) {
+        return { layer, label, target: null, incoming, existing: null, action: IMPORT_ACTIONS.UNMATCHED, reason };
+    }
+
+    _invalid(layer, label) {
+        return { layer, label: label ?? 'Unknown', target: null, incoming: null, existing: null, action: IMPORT_ACTIONS.INVALID, reason: 'Not a valid lock' };
+    }
 }
 
 
@@ -1293,6 +3463,8 @@ class SettingsManager {
 
 let settingsManager = null;
 let storageAdapter = null;
+let layerRegistry = null;
+let lockBundleService = null;
 let currentPopupInstance = null;
 let isApplyingSettings = false;
 let eventListenersRegistered = false;
@@ -1303,6 +3475,199 @@ let registeredEventHandlers = [];
 
 // ===== UTILITY FUNCTIONS =====
 
+function isLockValueSet(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Whether imported data looks like a lock: a plain object with at least one
+ * lock field, a text profile and preset, and a list of earlier revisions.
+ */
+function isValidLockRecord(settings) {
+    if (!lodash.isPlainObject(settings) || !LOCK_FIELDS.some(field => field.key in settings)) {
+        return false;
+    }
+    if (['connectionProfile', 'preset'].some(key => isLockValueSet(settings[key]) && typeof settings[key] !== 'string')) {
+        return false;
+    }
+    if (settings.history !== undefined && !(Array.isArray(settings.history) && settings.history.every(lodash.isPlainObject))) {
+        return false;
+    }
+    return settings.savedAt === undefined || typeof settings.savedAt === 'string';
+}
+
+/**
+ * The lock without a connection profile or preset that no longer exists.
+ */
+function withoutMissingLockValues(settings) {
+    const missing = [];
+    if (isLockValueSet(settings.connectionProfile) && !getProfileNames().includes(settings.connectionProfile)) {
+        missing.push('connectionProfile');
+    }
+
+    const presetManager = getPresetManager();
+    if (isLockValueSet(settings.preset) && presetManager && [undefined, null].includes(presetManager.findPreset(settings.preset))) {
+        missing.push('preset');
+    }
+
+    if (DEBUG_MODE && missing.length > 0) console.log('STCL: Ignoring lock values that no longer exist:', missing);
+    return lodash.omit(settings, missing);
+}
+
+/**
+ * Text the user is about to send, which isn't in the chat yet while
+ * GENERATION_AFTER_COMMANDS runs. Only normal sends add a user message.
+ */
+function getPendingUserMessage(type) {
+    if (type && type !== 'normal') {
+        return '';
+    }
+    return String($('#send_textarea').val() ?? '').trim();
+}
+
+function fieldMatches(field, currentValue, savedValue) {
+    return field.matches ? field.matches(currentValue, savedValue) : lodash.isEqual(currentValue, savedValue);
+}
+
+function selectPresetByName(apiId, name) {
+    const presetManager = getPresetManager(apiId);
+    if (!presetManager) {
+        console.warn(`STCL: No preset manager for "${apiId}"`);
+        return false;
+    }
+
+    const presetValue = presetManager.findPreset(name);
+    if (presetValue === undefined || presetValue === null) {
+        console.warn(`STCL: Saved ${apiId} preset "${name}" not found`);
+        return false;
+    }
+
+    presetManager.selectPreset(presetValue);
+    return true;
+}
+
+function getPromptManagerState() {
+    if (!promptManager?.activeCharacter) {
+        return null;
+    }
+
+    const order = promptManager.getPromptOrderForCharacter(promptManager.activeCharacter);
+    return order.length > 0 ? order.map(entry => ({ identifier: entry.identifier, enabled: !!entry.enabled })) : null;
+}
+
+/**
+ * Restores Prompt Manager toggles and order for the active character. Only the prompt order
+ * in the live settings changes; the preset file itself is left untouched.
+ */
+async function applyPromptManagerState(state) {
+    if (!promptManager?.activeCharacter || !Array.isArray(state)) {
+        return false;
+    }
+
+    const character = promptManager.activeCharacter;
+    const currentOrder = promptManager.getPromptOrderForCharacter(character);
+
+    // Skip prompts that no longer exist; prompts added since the lock was saved keep their state
+    const lockedOrder = state
+        .filter(entry => promptManager.getPromptById(entry.identifier))
+        .map(entry => ({ identifier: entry.identifier, enabled: !!entry.enabled }));
+    const unlockedEntries = currentOrder.filter(entry => !lockedOrder.some(x => x.identifier === entry.identifier));
+
+    promptManager.removePromptOrderForCharacter(character);
+    promptManager.addPromptOrderForCharacter(character, [...lockedOrder, ...unlockedEntries]);
+    promptManager.render(false);
+    await promptManager.saveServiceSettings();
+    return true;
+}
+
+function getWorldInfoMode() {
+    return storageAdapter?.getExtensionSettings().moduleSettings.worldInfoMode || WORLD_INFO_MODES.REPLACE;
+}
+
+function applyWorldInfoSelection(worldNames) {
+    if (!Array.isArray(worldNames) || !Array.isArray(world_names)) {
+        return false;
+    }
+
+    const missing = worldNames.filter(name => !world_names.includes(name));
+    if (missing.length > 0) {
+        console.warn('STCL: Saved World Info not found:', missing);
+    }
+
+    const baseSelection = getWorldInfoMode() === WORLD_INFO_MODES.ADD ? selected_world_info : [];
+    const selection = lodash.uniq([...baseSelection, ...worldNames]).filter(name => world_names.includes(name));
+
+    // Option values are indexes into world_names; the change handler rebuilds selected_world_info
+    $('#world_info').val(selection.map(name => String(world_names.indexOf(name)))).trigger('change');
+    return true;
+}
+
+/**
+ * Source label of a lock target ('character', 'group', 'chat' or 'default') in a context.
+ */
+function getLockSource(context, target) {
+    switch (target) {
+        case 'character':
+            return SETTING_SOURCES.CHARACTER;
+        case 'group':
+            return SETTING_SOURCES.GROUP;
+        case 'chat':
+            return context?.isGroupChat ? SETTING_SOURCES.GROUP_CHAT : SETTING_SOURCES.CHAT;
+        case 'default':
+            return SETTING_SOURCES.DEFAULT;
+        default:
+            return target;
+    }
+}
+
+function getProfileNames() {
+    return extension_settings.connectionManager?.profiles?.map(profile => profile.name) || [];
+}
+
+/**
+ * Options for a profile or preset picker. The saved value stays selectable even
+ * if it no longer exists, and '' stands for an unset field.
+ */
+function getLockValueOptions(names, value) {
+    return [
+        { value: '', label: '— Not locked —', selected: !value },
+        ...lodash.uniq([...(value ? [value] : []), ...names]).map(name => ({ value: name, label: name, selected: name === value }))
+    ];
+}
+
+function getTagName(tagId) {
+    return tags?.find(tag => tag.id === tagId)?.name || tagId;
+}
+
+function samplerOverridesMatch(overrides) {
+    return SAMPLER_OVERRIDES.every(sampler => {
+        const selector = sampler.selectors[main_api];
+        if (!isLockValueSet(overrides[sampler.key]) || !selector || $(selector).length === 0) return true;
+        return Number($(selector).val()) === Number(overrides[sampler.key]);
+    });
+}
+
+async function applyPersona(avatar) {
+    if (!power_user.personas || !Object.hasOwn(power_user.personas, avatar)) {
+        console.warn(`STCL: Saved persona "${avatar}" not found`);
+        return false;
+    }
+
+    await setUserAvatar(avatar, { toastPersonaNameChange: false });
+    return true;
+}
+
+function selectTokenizerById(tokenizerId) {
+    const option = $(`#tokenizer option[value="${tokenizerId}"]`);
+    if (option.length === 0) {
+        console.warn(`STCL: Saved tokenizer "${tokenizerId}" not found`);
+        return false;
+    }
+
+    $('#tokenizer').val(String(tokenizerId)).trigger('change');
+    return true;
+}
+
 function registerEventHandler(eventType, handler, description = '') {
     try {
         eventSource.on(eventType, handler);
@@ -1367,19 +3732,15 @@ function cleanupExtension() {
 
 
 
-function formatSettingsInfo(settings) {
-    if (!settings || typeof settings !== 'object') {
-        return 'No saved settings';
-    }
-
+function formatSavedAt(savedAt) {
     let saved = 'Unknown';
-    if (settings.savedAt) {
+    if (savedAt) {
         try {
-            if (typeof moment !== 'undefined' && moment.isDate && moment(settings.savedAt).isValid()) {
-                saved = moment(settings.savedAt).format('MMM D, YYYY [at] h:mm A');
+            if (typeof moment !== 'undefined' && moment.isDate && moment(savedAt).isValid()) {
+                saved = moment(savedAt).format('MMM D, YYYY [at] h:mm A');
             } else {
                 // Fallback for when moment isn't available
-                const date = new Date(settings.savedAt);
+                const date = new Date(savedAt);
                 if (!isNaN(date.getTime())) {
                     saved = date.toLocaleString();
                 }
@@ -1389,18 +3750,161 @@ function formatSettingsInfo(settings) {
             saved = 'Unknown';
         }
     }
+    return saved;
+}
+
+function formatSettingsInfo(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return 'No saved settings';
+    }
+
+    const saved = formatSavedAt(settings.savedAt);
 
     // Validate and sanitize values
-    const connectionProfile = (settings.connectionProfile && typeof settings.connectionProfile === 'string') ? settings.connectionProfile.trim() || 'N/A' : 'N/A';
-    const preset = (settings.preset && typeof settings.preset === 'string') ? settings.preset.trim() || 'N/A' : 'N/A';
+    const connectionProfile = settings.connectionProfile === null ? 'Not locked' :
+        (settings.connectionProfile && typeof settings.connectionProfile === 'string') ? settings.connectionProfile.trim() || 'N/A' : 'N/A';
+    const preset = settings.preset === null ? 'Not locked' :
+        (settings.preset && typeof settings.preset === 'string') ? settings.preset.trim() || 'N/A' : 'N/A';
+
+    const optionalLines = OPTIONAL_LOCK_FIELDS
+        .filter(field => isLockValueSet(settings[field.key]))
+        .map(field => `${field.label}: ${field.format ? field.format(settings[field.key]) : settings[field.key]}`);
+
+    return [
+        `Profile: ${connectionProfile}`,
+        `Preset: ${preset}`,
+        ...optionalLines,
+        `Saved: ${saved}`
+    ].join('\n');
+}
+
+/**
+ * Field toggles for one lock: shows the profile and preset, plus optional fields
+ * the lock holds or that are currently included in new locks.
+ */
+function formatLockFields(settings, target) {
+    if (!settings) {
+        return [];
+    }
+
+    const includeInLock = storageAdapter.getExtensionSettings().moduleSettings.includeInLock || {};
+    return LOCK_FIELDS
+        .filter(field => !field.manual)
+        .filter(field => field.key === 'connectionProfile' || field.key === 'preset' ||
+            settings[field.key] !== undefined || includeInLock[field.key])
+        .map(field => ({
+            target,
+            key: field.key,
+            label: field.label,
+            locked: isLockValueSet(settings[field.key])
+        }));
+}
+
+function formatResolvedFields(resolved) {
+    if (!resolved?.settings) {
+        return [];
+    }
 
-    return `Profile: ${connectionProfile}
-Preset: ${preset}
-Saved: ${saved}`;
+    return LOCK_FIELDS
+        .filter(field => resolved.fieldSources[field.key])
+        .map(field => {
+            const value = resolved.settings[field.key];
+            return {
+                label: field.label,
+                value: field.format ? field.format(value) : value,
+                source: resolved.fieldSources[field.key]
+            };
+        });
+}
+
+/**
+ * Rules for the popup, evaluated against the open chat as a test view.
+ */
+function formatLockRules() {
+    const rules = storageAdapter.getLockRules();
+    const engine = settingsManager.ruleEngine;
+    const state = engine.getChatState();
+    const firingRule = engine.findMatchingRule(rules, state);
+
+    // Check the message in the input box the way the pre-generation check will see it
+    const pendingMessage = getPendingUserMessage();
+    const sendRule = pendingMessage ? engine.findMatchingRule(rules, engine.getChatState(pendingMessage)) : null;
+
+    return {
+        lockRules: rules.map(rule => ({
+            id: rule.id,
+            name: rule.name,
+            enabled: rule.enabled,
+            matchLabel: rule.match === RULE_MATCH_MODES.ANY ? 'any condition' : 'all conditions',
+            conditions: engine.evaluateRule(rule, state).conditions,
+            lockInfo: rule.lock ? formatSettingsInfo(rule.lock) : 'No lock set - click Set Lock'
+        })),
+        firingRule: firingRule?.name || '',
+        pendingMessage: !!pendingMessage,
+        sendRule: sendRule?.name || ''
+    };
+}
+
+function formatLockHistory(settings, target) {
+    if (!Array.isArray(settings?.history)) {
+        return [];
+    }
+
+    return settings.history.map((revision, index) => ({
+        target,
+        index,
+        info: formatSettingsInfo(revision)
+    }));
 }
 
 // ===== TEMPLATE AND UI =====
 
+Handlebars.registerPartial('stclLockHistory', `
+{{#if history.length}}
+<details class="marginTop10">
+    <summary><small>🕘 History ({{history.length}})</small></summary>
+    {{#each history}}
+    <div class="flex-container alignItemsCenter marginTop10">
+        <pre class="margin0 flex1">{{info}}</pre>
+        <div class="menu_button stcl-restore-revision" data-target="{{target}}" data-index="{{index}}">Restore</div>
+    </div>
+    {{/each}}
+</details>
+{{/if}}
+`);
+
+Handlebars.registerPartial('stclLockFields', `
+{{#if fields.length}}
+<div class="flex-container alignItemsCenter marginTop10">
+    <small>Locked fields:</small>
+    {{#each fields}}
+    <label class="checkbox_label">
+        <input type="checkbox" class="stcl-lock-field" data-target="{{target}}" data-field="{{key}}" {{#if locked}}checked{{/if}}>
+        <small>{{label}}</small>
+    </label>
+    {{/each}}
+    <div class="menu_button stcl-edit-sampler-overrides" data-target="{{target}}">🎚️ Sampler Overrides</div>
+    <label class="checkbox_label" title="Revert profile and preset changes made while this lock is active">
+        <input type="checkbox" class="stcl-hard-lock" data-target="{{target}}" {{#if hard}}checked{{/if}}>
+        <small>🔒 Hard lock</small>
+    </label>
+</div>
+{{/if}}
+`);
+
+const samplerOverridesTemplate = Handlebars.compile(`
+<h3>🎚️ Sampler Overrides</h3>
+<p>Applied on top of the locked preset while this lock is active. Leave a field empty to keep the preset's value.</p>
+<div class="flex-container flexFlowColumn">
+    {{#each samplers}}
+    <label class="flex-container alignItemsCenter">
+        <span class="flex1">{{label}}</span>
+        <input type="number" class="text_pole flex1" data-sampler="{{key}}" step="any" value="{{value}}" placeholder="{{current}}">
+    </label>
+    {{/each}}
+</div>
+`);
+
 const popupTemplate = Handlebars.compile(`
 <div class="completion_prompt_manager_popup_entry">
     <div class="completion_prompt_manager_error {{#unless isExtensionEnabled}}caution{{/unless}} marginBot10">
@@ -1417,16 +3921,111 @@ const popupTemplate = Handlebars.compile(`
     </div>
 
     <div class="completion_prompt_manager_popup_entry_form_control flex-container flexFlowColumn justifyCenter">
-        <h4 class="standoutHeader">⚙️ Auto-apply Settings:</h4>
+        <h4 class="standoutHeader">🔀 Priority Order:</h4>
+        <small>Each field is taken from the first lock in this list that sets it.</small>
+        <div class="marginTop10">
+            {{#each priorityChain}}
+            <div class="flex-container alignItemsCenter justifyCenter">
+                <span class="flex1">{{position}}. {{label}}</span>
+                {{#unless pinned}}
+                <div class="menu_button stcl-move-layer {{#if first}}disabled{{/if}}" data-index="{{index}}" data-direction="-1" title="Move up">⬆️</div>
+                <div class="menu_button stcl-move-layer {{#if last}}disabled{{/if}}" data-index="{{index}}" data-direction="1" title="Move down">⬇️</div>
+                {{/unless}}
+            </div>
+            {{/each}}
+        </div>
+    </div>
+
+    <div class="completion_prompt_manager_popup_entry_form_control flex-container flexFlowColumn justifyCenter">
+        <h4 class="standoutHeader">⚙️ Auto-apply Settings:</h4>
+        <div class="marginTop10">
+            {{#each autoApplyOptions}}
+            <label class="radio_label">
+                <input type="radio" name="stcl-auto-apply-mode" value="{{value}}" {{#if checked}}checked{{/if}} {{#unless ../isExtensionEnabled}}disabled{{/unless}}>
+                <span>{{label}}</span>
+            </label>
+            {{/each}}
+        </div>
+    </div>
+
+    <div class="completion_prompt_manager_popup_entry_form_control flex-container flexFlowColumn justifyCenter">
+        <h4 class="standoutHeader">🔒 Also Include in Lock:</h4>
+        <div class="marginTop10">
+            {{#each includeInLockOptions}}
+            <label class="checkbox_label">
+                <input type="checkbox" class="stcl-include-in-lock" data-field="{{key}}" {{#if checked}}checked{{/if}}>
+                <span>{{label}}</span>
+            </label>
+            {{/each}}
+        </div>
+    </div>
+
+    <div class="completion_prompt_manager_popup_entry_form_control flex-container flexFlowColumn justifyCenter">
+        <h4 class="standoutHeader">🛡️ Before Each Generation:</h4>
+        <div class="marginTop10">
+            {{#each preGenerationOptions}}
+            <label class="radio_label">
+                <input type="radio" name="stcl-pre-generation-check" value="{{value}}" {{#if checked}}checked{{/if}}>
+                <span>{{label}}</span>
+            </label>
+            {{/each}}
+        </div>
+    </div>
+
+    <div class="completion_prompt_manager_popup_entry_form_control flex-container flexFlowColumn justifyCenter">
+        <h4 class="standoutHeader">🔒 Hard Locks:</h4>
+        <small>When a hard lock supplies the connection profile or preset, changes made outside Character Locks are caught.</small>
+        <div class="marginTop10">
+            {{#each hardLockOptions}}
+            <label class="radio_label">
+                <input type="radio" name="stcl-hard-lock-action" value="{{value}}" {{#if checked}}checked{{/if}}>
+                <span>{{label}}</span>
+            </label>
+            {{/each}}
+        </div>
+        <div class="flex-container alignItemsCenter marginTop10">
+            <small class="flex1">{{#if hardLockSuspended}}🔓 Hard locks are off for this session{{else}}{{#if hardLockFields}}🔒 Guarding {{hardLockFields}} here{{else}}No hard lock is active here{{/if}}{{/if}}</small>
+            <div class="menu_button stcl-hard-lock-suspend">{{#if hardLockSuspended}}🔒 Enforce Hard Locks Again{{else}}🔓 Unlock for This Session{{/if}}</div>
+        </div>
+        {{#if blockedChanges.length}}
+        <details class="marginTop10">
+            <summary><small>🚫 Recently blocked ({{blockedChanges.length}})</small></summary>
+            <ul class="margin0">
+                {{#each blockedChanges}}
+                <li><small>{{time}}: {{label}} "{{attempted}}", kept "{{locked}}" ({{source}})</small></li>
+                {{/each}}
+            </ul>
+        </details>
+        {{/if}}
+    </div>
+
+    {{#if includeWorldInfo}}
+    <div class="completion_prompt_manager_popup_entry_form_control flex-container flexFlowColumn justifyCenter">
+        <h4 class="standoutHeader">📚 Applying Locked World Info:</h4>
         <div class="marginTop10">
-            {{#each autoApplyOptions}}
+            {{#each worldInfoModeOptions}}
             <label class="radio_label">
-                <input type="radio" name="stcl-auto-apply-mode" value="{{value}}" {{#if checked}}checked{{/if}} {{#unless ../isExtensionEnabled}}disabled{{/unless}}>
+                <input type="radio" name="stcl-world-info-mode" value="{{value}}" {{#if checked}}checked{{/if}}>
+                <span>{{label}}</span>
+            </label>
+            {{/each}}
+        </div>
+    </div>
+    {{/if}}
+
+    {{#if storeLocksInCard}}
+    <div class="completion_prompt_manager_popup_entry_form_control flex-container flexFlowColumn justifyCenter">
+        <h4 class="standoutHeader">🃏 When Card and Local Locks Differ:</h4>
+        <div class="marginTop10">
+            {{#each cardConflictOptions}}
+            <label class="radio_label">
+                <input type="radio" name="stcl-card-conflict-policy" value="{{value}}" {{#if checked}}checked{{/if}}>
                 <span>{{label}}</span>
             </label>
             {{/each}}
         </div>
     </div>
+    {{/if}}
 
     {{#if hasActiveChat}}
     <div class="completion_prompt_manager_popup_entry_form_control">
@@ -1434,11 +4033,15 @@ const popupTemplate = Handlebars.compile(`
         <h4>Group Settings:</h4>
         <div class="completion_prompt_manager_popup_entry_form_control marginTop10">
             <pre class="margin0">{{groupInfo}}</pre>
+            {{> stclLockFields fields=groupFields target="group" hard=groupHard}}
+            {{> stclLockHistory history=groupHistory}}
         </div>
 
         <h4>Current Chat Settings:</h4>
         <div class="completion_prompt_manager_popup_entry_form_control marginTop10">
             <pre class="margin0">{{chatInfo}}</pre>
+            {{> stclLockFields fields=chatFields target="chat" hard=chatHard}}
+            {{> stclLockHistory history=chatHistory}}
         </div>
 
         <h4 class="standoutHeader">Group Members:</h4>
@@ -1452,20 +4055,126 @@ const popupTemplate = Handlebars.compile(`
         </div>
 
         <div class="marginTop10">
-            <small>💡 To set individual character settings, visit their character card</small>
+            <small>💡 To set individual character settings, open their character card and use 📌 Character Lock</small>
         </div>
         {{else}}
         <h4>Current Character Settings:</h4>
         <div class="completion_prompt_manager_popup_entry_form_control marginTop10">
             <pre class="margin0">{{characterInfo}}</pre>
+            {{> stclLockFields fields=characterFields target="character" hard=characterHard}}
+            {{> stclLockHistory history=characterHistory}}
         </div>
 
         <h4>Current Chat Settings:</h4>
         <div class="completion_prompt_manager_popup_entry_form_control marginTop10">
             <pre class="margin0">{{chatInfo}}</pre>
+            {{> stclLockFields fields=chatFields target="chat" hard=chatHard}}
+            {{> stclLockHistory history=chatHistory}}
+        </div>
+        {{/if}}
+
+        {{#if resolvedFields.length}}
+        <h4 class="standoutHeader">Applied Lock:</h4>
+        <table class="stcl-resolved-fields marginTop10">
+            {{#each resolvedFields}}
+            <tr><td>{{label}}</td><td>{{value}}</td><td><small>from {{source}}</small></td></tr>
+            {{/each}}
+        </table>
+        {{/if}}
+
+        <details class="marginTop10">
+            <summary><small>❓ Why this lock?</small></summary>
+            <table class="stcl-resolved-fields marginTop10">
+                <tr><th>#</th><th>Layer</th><th>Enabled</th><th>Lock</th><th>Result</th></tr>
+                {{#each resolutionTrace}}
+                <tr>
+                    <td>{{position}}</td>
+                    <td>{{label}}</td>
+                    <td>{{#if enabled}}✅{{else}}❌{{/if}}</td>
+                    <td>{{#if hasValue}}✅{{else}}—{{/if}}</td>
+                    <td><small>{{#if chosen}}🏆 {{/if}}{{reason}}</small></td>
+                </tr>
+                {{/each}}
+            </table>
+        </details>
+    </div>
+    {{/if}}
+
+    <div class="completion_prompt_manager_popup_entry_form_control">
+        <h4>Default Lock:</h4>
+        <div class="completion_prompt_manager_popup_entry_form_control marginTop10">
+            <pre class="margin0">{{defaultInfo}}</pre>
+            {{> stclLockFields fields=defaultFields target="default" hard=defaultHard}}
+            {{> stclLockHistory history=defaultHistory}}
+        </div>
+    </div>
+
+    <div class="completion_prompt_manager_popup_entry_form_control">
+        <h4 class="standoutHeader">🏷️ Tag Locks:</h4>
+        <small>Characters and groups with a locked tag inherit its lock. With several locked tags, the highest priority wins, then the most recently saved.</small>
+        {{#each tagLocks}}
+        <div class="flex-container alignItemsCenter marginTop10">
+            <div class="flex1">
+                <strong>{{name}}</strong>{{#if active}} <small>(active here)</small>{{/if}}
+                <pre class="margin0">{{info}}</pre>
+            </div>
+            <label class="flex-container alignItemsCenter">
+                <small>Priority</small>
+                <input type="number" class="text_pole stcl-tag-lock-priority" data-tag="{{id}}" value="{{priority}}" step="1" style="width: 5em;">
+            </label>
+            <div class="menu_button stcl-tag-lock-set" data-tag="{{id}}">✔️ Set</div>
+            <div class="menu_button stcl-tag-lock-clear" data-tag="{{id}}">❌ Clear</div>
+        </div>
+        {{/each}}
+        {{#if availableTags.length}}
+        <div class="flex-container alignItemsCenter marginTop10">
+            <select id="stcl-tag-lock-select" class="text_pole flex1">
+                {{#each availableTags}}
+                <option value="{{id}}">{{name}}</option>
+                {{/each}}
+            </select>
+            <div class="menu_button stcl-tag-lock-add">➕ Lock Tag to Current Settings</div>
         </div>
         {{/if}}
     </div>
+
+    <div class="completion_prompt_manager_popup_entry_form_control">
+        <h4 class="standoutHeader">⚡ Rules:</h4>
+        <small>The first enabled rule whose conditions match supplies the Rule layer of the lock.</small>
+        {{#each lockRules}}
+        <div class="flex-container alignItemsCenter marginTop10">
+            <input type="checkbox" class="stcl-rule-enabled" data-rule="{{id}}" {{#if enabled}}checked{{/if}}>
+            <div class="flex1">
+                <strong>{{name}}</strong> <small>({{matchLabel}})</small>
+                <ul class="margin0">
+                    {{#each conditions}}
+                    <li><small>{{#if passed}}✅{{else}}❌{{/if}} {{label}}</small></li>
+                    {{/each}}
+                </ul>
+                <pre class="margin0">{{lockInfo}}</pre>
+            </div>
+            <div class="menu_button stcl-rule-move" data-rule="{{id}}" data-direction="-1" title="Move up">⬆️</div>
+            <div class="menu_button stcl-rule-move" data-rule="{{id}}" data-direction="1" title="Move down">⬇️</div>
+            <div class="menu_button stcl-rule-edit" data-rule="{{id}}">✏️ Edit</div>
+            <div class="menu_button stcl-rule-set-lock" data-rule="{{id}}">✔️ Set Lock</div>
+            <div class="menu_button stcl-rule-delete" data-rule="{{id}}">❌ Delete</div>
+        </div>
+        {{/each}}
+        <div class="flex-container alignItemsCenter marginTop10">
+            <div class="menu_button stcl-rule-add">➕ Add Rule</div>
+            <small class="flex1">🧪 Right now: {{#if firingRule}}<strong>{{firingRule}}</strong> would fire{{else}}no rule would fire{{/if}}{{#if pendingMessage}}; when the typed message is sent: {{#if sendRule}}<strong>{{sendRule}}</strong>{{else}}no rule{{/if}}{{/if}}</small>
+        </div>
+    </div>
+
+    {{#if unresolvedCharacterKeys.length}}
+    <details class="marginTop10">
+        <summary><small>⚠️ {{unresolvedCharacterKeys.length}} character lock(s) could not be matched to a character</small></summary>
+        <ul>
+            {{#each unresolvedCharacterKeys}}
+            <li><small><code>{{key}}</code> - {{reason}}{{#if kept}} (still used as a name lock){{/if}}</small></li>
+            {{/each}}
+        </ul>
+    </details>
     {{/if}}
 </div>
 `);
@@ -1495,15 +4204,20 @@ async function getPopupContent() {
         checkboxes = [
             { id: 'stcl-enable-character', label: 'Remember per group', checked: extensionSettings.moduleSettings.enableGroupMemory, requiresApi: true },
             { id: 'stcl-enable-chat', label: 'Remember per chat', checked: extensionSettings.moduleSettings.enableChatMemory, requiresApi: true },
-            { id: 'stcl-prefer-group-over-chat', label: 'Prefer group settings over chat', checked: extensionSettings.moduleSettings.preferGroupOverChat, requiresApi: true },
-            { id: 'stcl-prefer-individual-character', label: 'Prefer character settings over group or chat', checked: extensionSettings.moduleSettings.preferIndividualCharacterInGroup, requiresApi: true },
+            { id: 'stcl-apply-default-lock', label: 'Apply the default lock to chats without a lock', checked: extensionSettings.moduleSettings.applyDefaultLockWhenUnlocked, requiresApi: true },
+            { id: 'stcl-restore-when-unlocked', label: 'Restore previous settings when leaving a locked chat', checked: extensionSettings.moduleSettings.restoreSettingsWhenUnlocked, requiresApi: true },
+            { id: 'stcl-prompt-on-drift', label: 'Offer to update the lock when settings change', checked: extensionSettings.moduleSettings.promptOnDrift, requiresApi: true },
+            { id: 'stcl-store-in-card', label: 'Store character locks in character cards', checked: extensionSettings.moduleSettings.storeLocksInCard, requiresApi: false },
             { id: 'stcl-show-notifications', label: 'Show notifications', checked: extensionSettings.moduleSettings.showNotifications, requiresApi: false }
         ];
     } else {
         checkboxes = [
             { id: 'stcl-enable-character', label: 'Remember per character', checked: extensionSettings.moduleSettings.enableCharacterMemory, requiresApi: true },
             { id: 'stcl-enable-chat', label: 'Remember per chat', checked: extensionSettings.moduleSettings.enableChatMemory, requiresApi: true },
-            { id: 'stcl-prefer-character', label: 'Prefer character settings over chat', checked: extensionSettings.moduleSettings.preferCharacterOverChat, requiresApi: true },
+            { id: 'stcl-apply-default-lock', label: 'Apply the default lock to chats without a lock', checked: extensionSettings.moduleSettings.applyDefaultLockWhenUnlocked, requiresApi: true },
+            { id: 'stcl-restore-when-unlocked', label: 'Restore previous settings when leaving a locked chat', checked: extensionSettings.moduleSettings.restoreSettingsWhenUnlocked, requiresApi: true },
+            { id: 'stcl-prompt-on-drift', label: 'Offer to update the lock when settings change', checked: extensionSettings.moduleSettings.promptOnDrift, requiresApi: true },
+            { id: 'stcl-store-in-card', label: 'Store character locks in character cards', checked: extensionSettings.moduleSettings.storeLocksInCard, requiresApi: false },
             { id: 'stcl-show-notifications', label: 'Show notifications', checked: extensionSettings.moduleSettings.showNotifications, requiresApi: false }
         ];
     }
@@ -1514,9 +4228,34 @@ async function getPopupContent() {
         { value: AUTO_APPLY_MODES.ALWAYS, label: 'Always auto-apply', checked: extensionSettings.moduleSettings.autoApplyOnContextChange === AUTO_APPLY_MODES.ALWAYS }
     ];
 
+    const preGenerationOptions = [
+        { value: PRE_GENERATION_MODES.OFF, label: 'Don\'t check', checked: extensionSettings.moduleSettings.preGenerationCheck === PRE_GENERATION_MODES.OFF },
+        { value: PRE_GENERATION_MODES.WAIT, label: 'Wait for a pending apply to finish', checked: extensionSettings.moduleSettings.preGenerationCheck === PRE_GENERATION_MODES.WAIT },
+        { value: PRE_GENERATION_MODES.APPLY, label: 'Wait, then apply the lock if settings still differ', checked: extensionSettings.moduleSettings.preGenerationCheck === PRE_GENERATION_MODES.APPLY },
+        { value: PRE_GENERATION_MODES.BLOCK, label: 'Wait, then block generation if settings still differ', checked: extensionSettings.moduleSettings.preGenerationCheck === PRE_GENERATION_MODES.BLOCK }
+    ];
+
+    const hardLockOptions = [
+        { value: HARD_LOCK_ACTIONS.REVERT, label: 'Revert changes right away', checked: extensionSettings.moduleSettings.hardLockAction === HARD_LOCK_ACTIONS.REVERT },
+        { value: HARD_LOCK_ACTIONS.ASK, label: 'Ask before reverting', checked: extensionSettings.moduleSettings.hardLockAction === HARD_LOCK_ACTIONS.ASK }
+    ];
+
+    const worldInfoModeOptions = [
+        { value: WORLD_INFO_MODES.REPLACE, label: 'Replace the active lorebooks', checked: extensionSettings.moduleSettings.worldInfoMode === WORLD_INFO_MODES.REPLACE },
+        { value: WORLD_INFO_MODES.ADD, label: 'Add to the active lorebooks', checked: extensionSettings.moduleSettings.worldInfoMode === WORLD_INFO_MODES.ADD }
+    ];
+
+    const cardConflictOptions = [
+        { value: CARD_CONFLICT_POLICIES.LOCAL, label: 'Prefer local lock', checked: extensionSettings.moduleSettings.cardConflictPolicy === CARD_CONFLICT_POLICIES.LOCAL },
+        { value: CARD_CONFLICT_POLICIES.CARD, label: 'Prefer character card lock', checked: extensionSettings.moduleSettings.cardConflictPolicy === CARD_CONFLICT_POLICIES.CARD },
+        { value: CARD_CONFLICT_POLICIES.NEWEST, label: 'Prefer most recently saved', checked: extensionSettings.moduleSettings.cardConflictPolicy === CARD_CONFLICT_POLICIES.NEWEST }
+    ];
+
     // Use SillyTavern's getContext() to determine if there's an active chat
     const stContext = getContext();
     const hasActiveChat = !!(stContext?.chatId);
+    const resolved = await settingsManager.getSettingsToApply();
+    const chain = settingsManager.priorityResolver.getChain(context);
 
     const templateData = {
         isExtensionEnabled: true,
@@ -1528,12 +4267,66 @@ async function getPopupContent() {
         groupInfo: formatSettingsInfo(settingsManager.currentSettings.group),
         individualCharacterInfo: formatSettingsInfo(settingsManager.currentSettings.individual),
         chatInfo: formatSettingsInfo(settingsManager.currentSettings.chat),
+        defaultInfo: formatSettingsInfo(settingsManager.currentSettings.default),
+        tagLocks: Object.entries(storageAdapter.getTagLocks()).map(([id, settings]) => ({
+            id,
+            name: getTagName(id),
+            info: formatSettingsInfo(settings),
+            priority: Number(settings.priority) || 0,
+            active: settingsManager.currentSettings.tagId === id
+        })),
+        ...formatLockRules(),
+        availableTags: (tags || [])
+            .filter(tag => !storageAdapter.getTagLock(tag.id))
+            .map(tag => ({ id: tag.id, name: tag.name })),
+        characterHistory: formatLockHistory(settingsManager.currentSettings.character, 'character'),
+        groupHistory: formatLockHistory(settingsManager.currentSettings.group, 'group'),
+        chatHistory: formatLockHistory(settingsManager.currentSettings.chat, 'chat'),
+        defaultHistory: formatLockHistory(settingsManager.currentSettings.default, 'default'),
+        characterFields: formatLockFields(settingsManager.currentSettings.character, 'character'),
+        groupFields: formatLockFields(settingsManager.currentSettings.group, 'group'),
+        chatFields: formatLockFields(settingsManager.currentSettings.chat, 'chat'),
+        defaultFields: formatLockFields(settingsManager.currentSettings.default, 'default'),
+        characterHard: !!settingsManager.currentSettings.character?.hard,
+        groupHard: !!settingsManager.currentSettings.group?.hard,
+        chatHard: !!settingsManager.currentSettings.chat?.hard,
+        defaultHard: !!settingsManager.currentSettings.default?.hard,
+        resolvedFields: formatResolvedFields(resolved),
+        resolutionTrace: (resolved.trace || []).map((entry, index) => ({ ...entry, position: index + 1 })),
         groupMembers: isGroupChat ? settingsManager.currentSettings.groupMembers.map(member => ({
             name: member.name,
             settings: formatSettingsInfo(member.settings)
         })) : [],
         checkboxes,
-        autoApplyOptions
+        priorityChain: chain.map((id, index) => ({
+            index,
+            position: index + 1,
+            label: layerRegistry.get(id).label,
+            pinned: layerRegistry.get(id).pinnedLast,
+            first: index === 0,
+            last: index === chain.length - 1 || layerRegistry.get(chain[index + 1]).pinnedLast
+        })),
+        autoApplyOptions,
+        preGenerationOptions,
+        hardLockOptions,
+        hardLockSuspended: settingsManager.hardLockSuspended,
+        hardLockFields: (resolved.hardFields || [])
+            .map(key => LOCK_FIELDS.find(field => field.key === key).label)
+            .join(' and '),
+        blockedChanges: settingsManager.blockedChanges.map(change => ({
+            ...change,
+            time: moment(change.blockedAt).format('LTS')
+        })),
+        cardConflictOptions,
+        includeInLockOptions: LOCKABLE_FIELDS.map(field => ({
+            key: field.key,
+            label: field.label,
+            checked: !!extensionSettings.moduleSettings.includeInLock?.[field.key]
+        })),
+        storeLocksInCard: extensionSettings.moduleSettings.storeLocksInCard,
+        includeWorldInfo: !!extensionSettings.moduleSettings.includeInLock?.worldInfo,
+        worldInfoModeOptions,
+        unresolvedCharacterKeys: extensionSettings.characterKeyMigrationReport?.unresolved || []
     };
 
     return DOMPurify.sanitize(popupTemplate(templateData));
@@ -1709,31 +4502,7 @@ async function showPopup() {
             classes: ['menu_button'],
             action: async () => {
                 try {
-                    if (isGroupChat) {
-                        if (context.groupId && await storageAdapter.deleteGroupSettings(context.groupId)) {
-                            settingsManager.currentSettings.group = null;
-                            // Also clean up old STMTL group settings
-                            await storageAdapter.deleteOldGroupSettings(context.groupId);
-                            if (typeof toastr !== 'undefined') {
-                                toastr.info('Group settings cleared', MODULE_NAME);
-                            }
-                        }
-                    } else {
-                        if (context.characterName) {
-                            // Use chId if available, fall back to character name
-                            const chId = characters?.findIndex(x => x.name === context.characterName);
-                            const characterKey = chId !== -1 ? chId : context.characterName;
-
-                            if (storageAdapter.deleteCharacterSettings(characterKey)) {
-                                settingsManager.currentSettings.character = null;
-                                // Also clean up old STMTL character settings
-                                storageAdapter.deleteOldCharacterSettings(context.characterName);
-                                if (typeof toastr !== 'undefined') {
-                                    toastr.info('Character settings cleared', MODULE_NAME);
-                                }
-                            }
-                        }
-                    }
+                    await settingsManager.clearSettings({ character: true });
                     await refreshPopupAfterSave();
                 } catch (error) {
                     console.error('STCL: Error in Clear Character/Group action:', error);
@@ -1745,25 +4514,7 @@ async function showPopup() {
             classes: ['menu_button'],
             action: async () => {
                 try {
-                    if (isGroupChat) {
-                        if (await storageAdapter.deleteGroupChatSettings(context.groupId)) {
-                            settingsManager.currentSettings.chat = null;
-                            // Also clean up old STMTL group chat settings
-                            await storageAdapter.deleteOldGroupChatSettings(context.groupId);
-                            if (typeof toastr !== 'undefined') {
-                                toastr.info('Group chat settings cleared', MODULE_NAME);
-                            }
-                        }
-                    } else {
-                        if (storageAdapter.deleteChatSettings()) {
-                            settingsManager.currentSettings.chat = null;
-                            // Also clean up old STMTL chat settings
-                            storageAdapter.deleteOldChatSettings();
-                            if (typeof toastr !== 'undefined') {
-                                toastr.info('Chat settings cleared', MODULE_NAME);
-                            }
-                        }
-                    }
+                    await settingsManager.clearSettings({ chat: true });
                     await refreshPopupAfterSave();
                 } catch (error) {
                     console.error('STCL: Error in Clear Chat action:', error);
@@ -1795,82 +4546,747 @@ async function showPopup() {
                 // No need to refresh popup content for apply
             }
         }
-    );
+    );
+    }
+
+    // The default lock and export/import don't depend on the open chat
+    customButtons.push(
+        {
+            text: '✔️ Set Default',
+            classes: ['menu_button'],
+            action: async () => {
+                try {
+                    await settingsManager.saveCurrentUISettings({ default: true });
+                    await refreshPopupAfterSave();
+                } catch (error) {
+                    console.error('STCL: Error in Set Default action:', error);
+                    if (typeof toastr !== 'undefined') {
+                        toastr.error('Failed to save default lock', MODULE_NAME);
+                    }
+                }
+            }
+        },
+        {
+            text: '❌ Clear Default',
+            classes: ['menu_button'],
+            action: async () => {
+                try {
+                    await settingsManager.clearDefaultLock();
+                    await refreshPopupAfterSave();
+                } catch (error) {
+                    console.error('STCL: Error in Clear Default action:', error);
+                }
+            }
+        },
+        {
+            text: '🗂️ Manage All Locks',
+            classes: ['menu_button'],
+            action: async () => {
+                await showLockDashboard();
+            }
+        },
+        {
+            text: '📤 Export Locks',
+            classes: ['menu_button'],
+            action: async () => {
+                await exportLocks();
+            }
+        },
+        {
+            text: '📥 Import Locks',
+            classes: ['menu_button'],
+            action: () => {
+                importLocks();
+            }
+        }
+    );
+
+    const popupOptions = {
+        allowVerticalScrolling: true,
+        customButtons: customButtons,
+        cancelButton: 'Close',
+        okButton: false,
+        onClose: handlePopupClose
+    };
+
+    try {
+        currentPopupInstance = new Popup(contentWithHeader, POPUP_TYPE.TEXT, '', popupOptions);
+        await currentPopupInstance.show();
+    } catch (error) {
+        console.error('STCL: Error showing popup:', error);
+        currentPopupInstance = null;
+    }
+}
+
+async function handlePopupClose(popup) {
+    try {
+        const popupElement = popup.dlg;
+        const extensionSettings = storageAdapter.getExtensionSettings();
+        const context = settingsManager.chatContext.getCurrent();
+        const isGroupChat = context.isGroupChat;
+
+        let checkboxMappings = {};
+
+        if (isGroupChat) {
+            checkboxMappings = {
+                'stcl-enable-character': 'enableGroupMemory',
+                'stcl-enable-chat': 'enableChatMemory',
+                'stcl-apply-default-lock': 'applyDefaultLockWhenUnlocked',
+                'stcl-restore-when-unlocked': 'restoreSettingsWhenUnlocked',
+                'stcl-prompt-on-drift': 'promptOnDrift',
+                'stcl-store-in-card': 'storeLocksInCard',
+                'stcl-show-notifications': 'showNotifications'
+            };
+        } else {
+            checkboxMappings = {
+                'stcl-enable-character': 'enableCharacterMemory',
+                'stcl-enable-chat': 'enableChatMemory',
+                'stcl-apply-default-lock': 'applyDefaultLockWhenUnlocked',
+                'stcl-restore-when-unlocked': 'restoreSettingsWhenUnlocked',
+                'stcl-prompt-on-drift': 'promptOnDrift',
+                'stcl-store-in-card': 'storeLocksInCard',
+                'stcl-show-notifications': 'showNotifications'
+            };
+        }
+
+        // Build newValues keyed by checkboxId
+        const newValues = lodash.mapValues(checkboxMappings, (settingKey, checkboxId) => {
+            const checkbox = popupElement.querySelector(`#${checkboxId}`);
+            return checkbox ? checkbox.checked : extensionSettings.moduleSettings[settingKey];
+        });
+
+        // Map newValues keys to setting keys for a fair comparison
+        const newValuesMapped = lodash.mapKeys(newValues, (value, checkboxId) => checkboxMappings[checkboxId]);
+
+        // Handle radio button for auto-apply mode
+        const autoApplyRadio = popupElement.querySelector('input[name="stcl-auto-apply-mode"]:checked');
+        const newAutoApplyMode = autoApplyRadio ? autoApplyRadio.value : extensionSettings.moduleSettings.autoApplyOnContextChange;
+
+        // Handle radio button for card conflict policy (only rendered while card storage is on)
+        const cardConflictRadio = popupElement.querySelector('input[name="stcl-card-conflict-policy"]:checked');
+        const newCardConflictPolicy = cardConflictRadio ? cardConflictRadio.value : extensionSettings.moduleSettings.cardConflictPolicy;
+
+        // Compare to old values (also keyed by setting keys)
+        const oldValues = lodash.pick(extensionSettings.moduleSettings, Object.values(checkboxMappings));
+        const oldAutoApplyMode = extensionSettings.moduleSettings.autoApplyOnContextChange;
+
+        const checkboxChanged = !lodash.isEqual(oldValues, newValuesMapped);
+        const autoApplyChanged = oldAutoApplyMode !== newAutoApplyMode;
+        const cardConflictChanged = extensionSettings.moduleSettings.cardConflictPolicy !== newCardConflictPolicy;
+
+        // Handle radio button for World Info apply mode (only rendered while World Info is included)
+        const worldInfoModeRadio = popupElement.querySelector('input[name="stcl-world-info-mode"]:checked');
+        const newWorldInfoMode = worldInfoModeRadio ? worldInfoModeRadio.value : extensionSettings.moduleSettings.worldInfoMode;
+        const worldInfoModeChanged = extensionSettings.moduleSettings.worldInfoMode !== newWorldInfoMode;
+
+        // Handle radio button for the pre-generation check
+        const preGenerationRadio = popupElement.querySelector('input[name="stcl-pre-generation-check"]:checked');
+        const newPreGenerationCheck = preGenerationRadio ? preGenerationRadio.value : extensionSettings.moduleSettings.preGenerationCheck;
+        const preGenerationChanged = extensionSettings.moduleSettings.preGenerationCheck !== newPreGenerationCheck;
+
+        // Handle radio button for the hard lock action
+        const hardLockRadio = popupElement.querySelector('input[name="stcl-hard-lock-action"]:checked');
+        const newHardLockAction = hardLockRadio ? hardLockRadio.value : extensionSettings.moduleSettings.hardLockAction;
+        const hardLockActionChanged = extensionSettings.moduleSettings.hardLockAction !== newHardLockAction;
+
+        if (checkboxChanged || autoApplyChanged || cardConflictChanged || worldInfoModeChanged || preGenerationChanged || hardLockActionChanged) {
+            lodash.merge(extensionSettings.moduleSettings, newValuesMapped);
+            extensionSettings.moduleSettings.autoApplyOnContextChange = newAutoApplyMode;
+            extensionSettings.moduleSettings.cardConflictPolicy = newCardConflictPolicy;
+            extensionSettings.moduleSettings.worldInfoMode = newWorldInfoMode;
+            extensionSettings.moduleSettings.preGenerationCheck = newPreGenerationCheck;
+            extensionSettings.moduleSettings.hardLockAction = newHardLockAction;
+            storageAdapter.saveExtensionSettings();
+        }
+    } catch (error) {
+        console.error('STCL: Error handling popup close:', error);
+    }
+}
+
+const ruleEditorTemplate = Handlebars.compile(`
+<h3>⚡ {{#if isNew}}Add{{else}}Edit{{/if}} Rule</h3>
+<div class="flex-container flexFlowColumn">
+    <label>Name <input type="text" class="text_pole" name="stcl-rule-name" value="{{name}}"></label>
+    <label>
+        Fire when
+        <select class="text_pole" name="stcl-rule-match">
+            <option value="all" {{#if matchAll}}selected{{/if}}>all conditions match</option>
+            <option value="any" {{#unless matchAll}}selected{{/unless}}>any condition matches</option>
+        </select>
+    </label>
+    <small>Leave a condition empty to not use it.</small>
+    <label>Chat has at least <input type="number" class="text_pole" name="stcl-rule-message-count" min="1" step="1" value="{{messageCount}}"> messages</label>
+    <label>Last user message contains <input type="text" class="text_pole" name="stcl-rule-contains" value="{{contains}}"></label>
+    <label class="flex-container alignItemsCenter">
+        Time is between <input type="time" class="text_pole" name="stcl-rule-time-from" value="{{timeFrom}}">
+        and <input type="time" class="text_pole" name="stcl-rule-time-to" value="{{timeTo}}">
+    </label>
+</div>
+`);
+
+/**
+ * Opens the rule editor. Returns the edited rule, or null when cancelled.
+ */
+async function editLockRule(rule) {
+    const isNew = !rule;
+    rule = rule || { id: uuidv4(), name: 'New rule', enabled: true, match: RULE_MATCH_MODES.ALL, conditions: [], lock: null };
+
+    const findCondition = (type) => rule.conditions.find(condition => condition.type === type);
+    const templateData = {
+        isNew,
+        name: rule.name,
+        matchAll: rule.match !== RULE_MATCH_MODES.ANY,
+        messageCount: findCondition(RULE_CONDITION_TYPES.MESSAGE_COUNT)?.min ?? '',
+        contains: findCondition(RULE_CONDITION_TYPES.LAST_USER_MESSAGE_CONTAINS)?.text ?? '',
+        timeFrom: findCondition(RULE_CONDITION_TYPES.TIME_RANGE)?.from ?? '',
+        timeTo: findCondition(RULE_CONDITION_TYPES.TIME_RANGE)?.to ?? ''
+    };
+
+    let edited = null;
+    const popup = new Popup(DOMPurify.sanitize(ruleEditorTemplate(templateData)), POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Save',
+        cancelButton: 'Cancel',
+        onClose: (popup) => {
+            const value = (name) => popup.dlg.querySelector(`[name="${name}"]`)?.value.trim() || '';
+            const conditions = [];
+
+            const messageCount = parseInt(value('stcl-rule-message-count'));
+            if (!isNaN(messageCount)) {
+                conditions.push({ type: RULE_CONDITION_TYPES.MESSAGE_COUNT, min: messageCount });
+            }
+            if (value('stcl-rule-contains')) {
+                conditions.push({ type: RULE_CONDITION_TYPES.LAST_USER_MESSAGE_CONTAINS, text: value('stcl-rule-contains') });
+            }
+            if (value('stcl-rule-time-from') && value('stcl-rule-time-to')) {
+                conditions.push({ type: RULE_CONDITION_TYPES.TIME_RANGE, from: value('stcl-rule-time-from'), to: value('stcl-rule-time-to') });
+            }
+
+            edited = {
+                ...rule,
+                name: value('stcl-rule-name') || rule.name,
+                match: value('stcl-rule-match') === RULE_MATCH_MODES.ANY ? RULE_MATCH_MODES.ANY : RULE_MATCH_MODES.ALL,
+                conditions
+            };
+        }
+    });
+
+    const result = await popup.show();
+    return result === POPUP_RESULT.AFFIRMATIVE ? edited : null;
+}
+
+async function editSamplerOverrides(target) {
+    const overrides = settingsManager.currentSettings[target]?.samplerOverrides || {};
+    const samplers = SAMPLER_OVERRIDES.map(sampler => {
+        const selector = sampler.selectors[main_api];
+        return {
+            key: sampler.key,
+            label: sampler.label,
+            value: overrides[sampler.key] ?? '',
+            current: selector ? $(selector).val() : ''
+        };
+    });
+
+    let newOverrides = null;
+    const popup = new Popup(DOMPurify.sanitize(samplerOverridesTemplate({ samplers })), POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Save',
+        cancelButton: 'Cancel',
+        onClose: (popup) => {
+            newOverrides = {};
+            for (const input of popup.dlg.querySelectorAll('input[data-sampler]')) {
+                const value = parseFloat(input.value);
+                if (!isNaN(value)) {
+                    newOverrides[input.dataset.sampler] = value;
+                }
+            }
+        }
+    });
+
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE || !newOverrides) {
+        return false;
+    }
+
+    return await settingsManager.setSamplerOverrides(target, newOverrides);
+}
+
+// ===== LOCK EXPORT / IMPORT =====
+
+const importModeTemplate = Handlebars.compile(`
+<h3>📥 Import Character Locks</h3>
+<p>How should locks that already exist on this install be handled?</p>
+<div class="flex-container flexFlowColumn">
+    {{#each modes}}
+    <label class="radio_label">
+        <input type="radio" name="stcl-import-mode" value="{{value}}" {{#if checked}}checked{{/if}}>
+        <span>{{label}}</span>
+    </label>
+    {{/each}}
+</div>
+`);
+
+const importPreviewTemplate = Handlebars.compile(`
+<h3>📥 Import Preview</h3>
+<p>{{writeCount}} lock(s) will be written, {{skipCount}} skipped, {{unmatchedCount}} could not be matched, {{invalidCount}} rejected as invalid.</p>
+<table class="stcl-import-preview">
+    <thead>
+        <tr><th>Layer</th><th>Target</th><th>Incoming</th><th>Action</th></tr>
+    </thead>
+    <tbody>
+        {{#each items}}
+        <tr>
+            <td>{{layer}}</td>
+            <td>{{label}}</td>
+            <td><small>{{incoming}}</small></td>
+            <td><strong>{{action}}</strong><br><small>{{reason}}</small></td>
+        </tr>
+        {{/each}}
+    </tbody>
+</table>
+`);
+
+async function exportLocks() {
+    const controller = new AbortController();
+    let progressToast = null;
+
+    try {
+        // Reading every chat file can take a while, so show progress with a way out
+        if (typeof toastr !== 'undefined') {
+            progressToast = toastr.info('Exporting locks', MODULE_NAME, { timeOut: 0, extendedTimeOut: 0, tapToDismiss: false });
+            progressToast.find('.toast-message').append(
+                $('<div class="stcl-export-progress"></div>'),
+                $('<div class="menu_button"></div>').text('Cancel').on('click', () => controller.abort())
+            );
+        }
+
+        const result = await lockBundleService.buildBundle({
+            signal: controller.signal,
+            onProgress: (done, total) => progressToast?.find('.stcl-export-progress').text(`Reading chat locks: ${done} of ${total} characters`)
+        });
+        if (!result) {
+            if (typeof toastr !== 'undefined') {
+                toastr.info('Export cancelled', MODULE_NAME);
+            }
+            return;
+        }
+
+        const { bundle, failedChats } = result;
+        const fileName = `stcl-locks-${moment().format('YYYY-MM-DD-HHmmss')}.json`;
+        download(JSON.stringify(bundle, null, 4), fileName, 'application/json');
+
+        if (failedChats.length > 0) {
+            console.warn('STCL: Chats left out of the export because they could not be read:', failedChats);
+        }
+        if (typeof toastr !== 'undefined') {
+            const summary = `Exported ${bundle.characters.length} character, ${bundle.groups.length} group and ${bundle.chats.length} chat lock(s)`;
+            if (failedChats.length > 0) {
+                toastr.warning(`${summary}. ${failedChats.length} chat(s) could not be read and are not in the file, see the browser console.`, MODULE_NAME);
+            } else {
+                toastr.success(summary, MODULE_NAME);
+            }
+        }
+    } catch (error) {
+        console.error('STCL: Error exporting locks:', error);
+        if (typeof toastr !== 'undefined') {
+            toastr.error('Failed to export locks', MODULE_NAME);
+        }
+    } finally {
+        if (progressToast) {
+            toastr.clear(progressToast);
+        }
+    }
+}
+
+function importLocks() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+        const file = input.files?.[0];
+        if (file) {
+            await importLockFile(file);
+        }
+    });
+    input.click();
+}
+
+async function importLockFile(file) {
+    try {
+        let bundle;
+        try {
+            bundle = JSON.parse(await getFileText(file));
+        } catch {
+            throw new Error('File is not valid JSON');
+        }
+        lockBundleService.validateBundle(bundle);
+
+        const mode = await askImportMode();
+        if (!mode) return;
+
+        const plan = await lockBundleService.planImport(bundle, mode);
+        if (!await showImportPreview(plan)) return;
+
+        const { written, failed } = await lockBundleService.applyImport(plan);
+        if (typeof toastr !== 'undefined') {
+            if (failed > 0) {
+                toastr.warning(`Imported ${written} lock(s), ${failed} failed`, MODULE_NAME);
+            } else {
+                toastr.success(`Imported ${written} lock(s)`, MODULE_NAME);
+            }
+        }
+
+        if (currentPopupInstance?.dlg?.hasAttribute('open')) {
+            await refreshPopupAfterSave();
+        } else {
+            await settingsManager.loadCurrentSettings();
+        }
+    } catch (error) {
+        console.error('STCL: Error importing locks:', error);
+        if (typeof toastr !== 'undefined') {
+            toastr.error(`Import failed: ${error.message}`, MODULE_NAME);
+        }
     }
+}
 
-    const popupOptions = {
-        allowVerticalScrolling: true,
-        customButtons: customButtons,
-        cancelButton: 'Close',
-        okButton: false,
-        onClose: handlePopupClose
-    };
+async function askImportMode() {
+    const modes = [
+        { value: IMPORT_MODES.OVERWRITE, label: 'Overwrite existing locks', checked: false },
+        { value: IMPORT_MODES.SKIP, label: 'Skip existing locks', checked: false },
+        { value: IMPORT_MODES.NEWEST, label: 'Keep whichever was saved most recently', checked: true }
+    ];
 
-    try {
-        currentPopupInstance = new Popup(contentWithHeader, POPUP_TYPE.TEXT, '', popupOptions);
-        await currentPopupInstance.show();
-    } catch (error) {
-        console.error('STCL: Error showing popup:', error);
-        currentPopupInstance = null;
+    let selectedMode = null;
+    const popup = new Popup(DOMPurify.sanitize(importModeTemplate({ modes })), POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Preview',
+        cancelButton: 'Cancel',
+        onClose: (popup) => {
+            selectedMode = popup.dlg.querySelector('input[name="stcl-import-mode"]:checked')?.value || null;
+        }
+    });
+
+    const result = await popup.show();
+    return result === POPUP_RESULT.AFFIRMATIVE ? selectedMode : null;
+}
+
+async function showImportPreview(plan) {
+    if (plan.length === 0) {
+        if (typeof toastr !== 'undefined') {
+            toastr.info('The file contains no locks', MODULE_NAME);
+        }
+        return false;
     }
+
+    const content = importPreviewTemplate({
+        writeCount: plan.filter(x => x.action === IMPORT_ACTIONS.WRITE).length,
+        skipCount: plan.filter(x => x.action === IMPORT_ACTIONS.SKIP).length,
+        unmatchedCount: plan.filter(x => x.action === IMPORT_ACTIONS.UNMATCHED).length,
+        invalidCount: plan.filter(x => x.action === IMPORT_ACTIONS.INVALID).length,
+        items: plan.map(item => ({
+            layer: item.layer,
+            label: item.label,
+            incoming: formatSettingsInfo(item.incoming),
+            action: item.action,
+            reason: item.reason
+        }))
+    });
+
+    const result = await callGenericPopup(DOMPurify.sanitize(content), POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Import',
+        cancelButton: 'Cancel',
+        wide: true,
+        allowVerticalScrolling: true
+    });
+
+    return result === POPUP_RESULT.AFFIRMATIVE;
 }
 
-async function handlePopupClose(popup) {
-    try {
-        const popupElement = popup.dlg;
-        const extensionSettings = storageAdapter.getExtensionSettings();
-        const context = settingsManager.chatContext.getCurrent();
-        const isGroupChat = context.isGroupChat;
+// ===== LOCK MANAGER =====
 
-        let checkboxMappings = {};
+// Locks shown in the open lock manager, by row id
+let dashboardEntries = new Map();
 
-        if (isGroupChat) {
-            checkboxMappings = {
-                'stcl-enable-character': 'enableGroupMemory',
-                'stcl-enable-chat': 'enableChatMemory',
-                'stcl-prefer-group-over-chat': 'preferGroupOverChat',
-                'stcl-prefer-individual-character': 'preferIndividualCharacterInGroup',
-                'stcl-show-notifications': 'showNotifications'
-            };
-        } else {
-            checkboxMappings = {
-                'stcl-enable-character': 'enableCharacterMemory',
-                'stcl-enable-chat': 'enableChatMemory',
-                'stcl-prefer-character': 'preferCharacterOverChat',
-                'stcl-show-notifications': 'showNotifications'
-            };
+Handlebars.registerPartial('stclDashboardRow', `
+<tr data-entry="{{id}}" data-search="{{search}}">
+    <td><small>{{kindLabel}}</small></td>
+    <td>{{label}}</td>
+    {{#if editing}}
+    <td>
+        <select class="text_pole stcl-dashboard-edit-profile">
+            {{#each profileOptions}}
+            <option value="{{value}}" {{#if selected}}selected{{/if}}>{{label}}</option>
+            {{/each}}
+        </select>
+    </td>
+    <td>
+        <select class="text_pole stcl-dashboard-edit-preset">
+            {{#each presetOptions}}
+            <option value="{{value}}" {{#if selected}}selected{{/if}}>{{label}}</option>
+            {{/each}}
+        </select>
+    </td>
+    <td><small>{{saved}}</small></td>
+    <td>
+        <div class="menu_button stcl-dashboard-save">💾 Save</div>
+        <div class="menu_button stcl-dashboard-cancel">Cancel</div>
+    </td>
+    {{else}}
+    <td>{{#if profile}}{{profile}}{{else}}<small>—</small>{{/if}}</td>
+    <td>{{#if preset}}{{preset}}{{else}}<small>—</small>{{/if}}</td>
+    <td><small>{{saved}}</small></td>
+    <td>
+        <div class="menu_button stcl-dashboard-edit">✏️ Edit</div>
+        <div class="menu_button stcl-dashboard-delete">❌ Delete</div>
+    </td>
+    {{/if}}
+</tr>
+`);
+
+const dashboardRowTemplate = Handlebars.compile('{{> stclDashboardRow}}');
+
+const dashboardTemplate = Handlebars.compile(`
+<div id="stcl-dashboard">
+    <h3>🗂️ All Character Locks</h3>
+    <small>Character locks, group locks and group chat locks, plus the chat locks of the open character.</small>
+    <div class="flex-container alignItemsCenter marginTop10">
+        <input type="search" id="stcl-dashboard-search" class="text_pole flex1 stcl-dashboard-filter" placeholder="Search by name">
+        <select id="stcl-dashboard-profile" class="text_pole flex1 stcl-dashboard-filter">
+            <option value="">All profiles</option>
+            {{#each profiles}}
+            <option value="{{this}}">{{this}}</option>
+            {{/each}}
+        </select>
+        <select id="stcl-dashboard-preset" class="text_pole flex1 stcl-dashboard-filter">
+            <option value="">All presets</option>
+            {{#each presets}}
+            <option value="{{this}}">{{this}}</option>
+            {{/each}}
+        </select>
+        <select id="stcl-dashboard-sort" class="text_pole stcl-dashboard-filter">
+            <option value="desc">Newest first</option>
+            <option value="asc">Oldest first</option>
+        </select>
+    </div>
+    <small id="stcl-dashboard-count"></small>
+    <table class="stcl-import-preview marginTop10">
+        <thead>
+            <tr><th>Type</th><th>Name</th><th>Connection Profile</th><th>Preset</th><th>Saved</th><th></th></tr>
+        </thead>
+        <tbody>
+            {{#each entries}}
+            {{> stclDashboardRow}}
+            {{/each}}
+        </tbody>
+    </table>
+</div>
+`);
+
+/**
+ * Flattens every lock the export collects into lock manager entries.
+ */
+/**
+ * Every character, group and group chat lock, plus the chat locks of the open
+ * character. Other characters' chat locks would mean reading all their chat files.
+ */
+async function collectLockEntries() {
+    const entries = [];
+
+    for (const character of lockBundleService.collectCharacterLocks()) {
+        // Unmatched legacy locks are keyed by name
+        entries.push({ kind: 'character', label: character.name, characterKey: character.avatar ?? character.name, settings: character.settings });
+    }
+
+    for (const group of lockBundleService.collectGroupLocks()) {
+        if (group.settings) {
+            entries.push({ kind: 'group', label: group.name, groupId: group.id, settings: group.settings });
+        }
+        for (const chat of group.chats) {
+            entries.push({ kind: 'groupChat', label: `${group.name} / ${chat.chatId}`, groupId: group.id, chatId: chat.chatId, settings: chat.settings });
         }
+    }
 
-        // Build newValues keyed by checkboxId
-        const newValues = lodash.mapValues(checkboxMappings, (settingKey, checkboxId) => {
-            const checkbox = popupElement.querySelector(`#${checkboxId}`);
-            return checkbox ? checkbox.checked : extensionSettings.moduleSettings[settingKey];
-        });
+    const context = settingsManager.chatContext.getCurrent();
+    const chId = !context.isGroupChat && context.characterKey ? storageAdapter.getCharacterIndex(context.characterKey) : null;
+    if (chId !== null && characters?.[chId]) {
+        for (const chat of await storageAdapter.getCharacterChatLocks(chId)) {
+            entries.push({ kind: 'chat', label: `${characters[chId].name} / ${chat.chatId}`, chId, chatId: chat.chatId, settings: chat.settings });
+        }
+    }
 
-        // Map newValues keys to setting keys for a fair comparison
-        const newValuesMapped = lodash.mapKeys(newValues, (value, checkboxId) => checkboxMappings[checkboxId]);
+    return entries.map((entry, id) => ({ ...entry, id }));
+}
 
-        // Handle radio button for auto-apply mode
-        const autoApplyRadio = popupElement.querySelector('input[name="stcl-auto-apply-mode"]:checked');
-        const newAutoApplyMode = autoApplyRadio ? autoApplyRadio.value : extensionSettings.moduleSettings.autoApplyOnContextChange;
+function formatDashboardEntry(entry, editing = false) {
+    const row = {
+        id: entry.id,
+        kindLabel: LOCK_ENTRY_SOURCES[entry.kind],
+        label: entry.label,
+        search: String(entry.label).toLowerCase(),
+        profile: entry.settings.connectionProfile || '',
+        preset: entry.settings.preset || '',
+        saved: formatSavedAt(entry.settings.savedAt),
+        editing
+    };
 
-        // Compare to old values (also keyed by setting keys)
-        const oldValues = lodash.pick(extensionSettings.moduleSettings, Object.values(checkboxMappings));
-        const oldAutoApplyMode = extensionSettings.moduleSettings.autoApplyOnContextChange;
+    if (editing) {
+        row.profileOptions = getLockValueOptions(getProfileNames(), row.profile);
+        row.presetOptions = getLockValueOptions(getPresetManager()?.getAllPresets() || [], row.preset);
+    }
 
-        const checkboxChanged = !lodash.isEqual(oldValues, newValuesMapped);
-        const autoApplyChanged = oldAutoApplyMode !== newAutoApplyMode;
+    return row;
+}
 
-        if (checkboxChanged || autoApplyChanged) {
-            lodash.merge(extensionSettings.moduleSettings, newValuesMapped);
-            extensionSettings.moduleSettings.autoApplyOnContextChange = newAutoApplyMode;
-            storageAdapter.saveExtensionSettings();
+function renderDashboardRow(entry, editing = false) {
+    return DOMPurify.sanitize(`<table><tbody>${dashboardRowTemplate(formatDashboardEntry(entry, editing))}</tbody></table>`, { RETURN_DOM_FRAGMENT: true })
+        .querySelector('tr');
+}
+
+/**
+ * Applies search, profile / preset filters and savedAt sorting to the lock manager rows.
+ */
+function applyDashboardFilters() {
+    const root = $('#stcl-dashboard');
+    const search = String(root.find('#stcl-dashboard-search').val() || '').trim().toLowerCase();
+    const profile = root.find('#stcl-dashboard-profile').val();
+    const preset = root.find('#stcl-dashboard-preset').val();
+    const order = root.find('#stcl-dashboard-sort').val() === 'asc' ? 1 : -1;
+
+    const rows = root.find('tr[data-entry]').get();
+    let visibleCount = 0;
+    for (const row of rows) {
+        const settings = dashboardEntries.get(Number(row.dataset.entry))?.settings || {};
+        row.hidden = !!(search && !row.dataset.search.includes(search)) ||
+            !!(profile && settings.connectionProfile !== profile) ||
+            !!(preset && settings.preset !== preset);
+        if (!row.hidden) visibleCount++;
+    }
+
+    const savedAt = (row) => dashboardEntries.get(Number(row.dataset.entry))?.settings.savedAt || '';
+    rows.sort((a, b) => savedAt(a).localeCompare(savedAt(b)) * order);
+    root.find('tbody').append(rows);
+    root.find('#stcl-dashboard-count').text(`Showing ${visibleCount} of ${rows.length} lock(s)`);
+}
+
+async function showLockDashboard() {
+    try {
+        const entries = await collectLockEntries();
+        dashboardEntries = new Map(entries.map(entry => [entry.id, entry]));
+
+        const content = dashboardTemplate({
+            entries: entries.map(entry => formatDashboardEntry(entry)),
+            profiles: lodash.uniq(entries.map(entry => entry.settings.connectionProfile).filter(Boolean)).sort(),
+            presets: lodash.uniq(entries.map(entry => entry.settings.preset).filter(Boolean)).sort()
+        });
+
+        const popup = new Popup(DOMPurify.sanitize(content), POPUP_TYPE.TEXT, '', {
+            okButton: 'Close',
+            wide: true,
+            large: true,
+            allowVerticalScrolling: true,
+            onOpen: () => applyDashboardFilters()
+        });
+        await popup.show();
+
+        dashboardEntries = new Map();
+        // Edits may have changed the locks of the open chat
+        if (currentPopupInstance) {
+            await refreshPopupAfterSave();
         }
     } catch (error) {
-        console.error('STCL: Error handling popup close:', error);
+        console.error('STCL: Error showing lock manager:', error);
+        if (typeof toastr !== 'undefined') {
+            toastr.error('Failed to open the lock manager', MODULE_NAME);
+        }
+    }
+}
+
+// ===== CHARACTER EDITOR PANEL =====
+
+const characterLockPanelTemplate = Handlebars.compile(`
+<div id="stcl-character-lock" class="inline-drawer flex-container flexFlowColumn flexNoGap" data-character="{{characterKey}}">
+    <div class="inline-drawer-toggle inline-drawer-header padding0 standoutHeader">
+        <span class="flex1">📌 Character Lock</span>
+        <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down interactable"></div>
+    </div>
+    <div class="inline-drawer-content">
+        <pre class="margin0">{{lockInfo}}</pre>
+        <div class="flex-container alignItemsCenter marginTop10">
+            <label class="flex1">
+                <small>Connection Profile</small>
+                <select id="stcl-character-lock-profile" class="text_pole">
+                    {{#each profileOptions}}
+                    <option value="{{value}}" {{#if selected}}selected{{/if}}>{{label}}</option>
+                    {{/each}}
+                </select>
+            </label>
+            <label class="flex1">
+                <small>Preset</small>
+                <select id="stcl-character-lock-preset" class="text_pole">
+                    {{#each presetOptions}}
+                    <option value="{{value}}" {{#if selected}}selected{{/if}}>{{label}}</option>
+                    {{/each}}
+                </select>
+            </label>
+        </div>
+        <div class="flex-container marginTop10">
+            <div id="stcl-character-lock-set" class="menu_button">✔️ Set</div>
+            <div id="stcl-character-lock-clear" class="menu_button">❌ Clear</div>
+        </div>
+    </div>
+</div>
+`);
+
+/**
+ * Adds the lock section to the character editor, for whichever character it
+ * shows; that may be a group member rather than the chat's character.
+ */
+function renderCharacterLockPanel(chId) {
+    $(SELECTORS.characterLockPanel).remove();
+
+    const characterKey = storageAdapter.getCharacterKey(chId);
+    if (!characterKey) {
+        return;
+    }
+
+    // Without a lock, the pickers start from the current settings
+    const lock = storageAdapter.getCharacterSettings(characterKey);
+    const current = lock ? null : settingsManager.getCurrentUISettings();
+    const content = characterLockPanelTemplate({
+        characterKey,
+        lockInfo: formatSettingsInfo(lock),
+        profileOptions: getLockValueOptions(getProfileNames(), lock ? lock.connectionProfile : current.connectionProfile),
+        presetOptions: getLockValueOptions(getPresetManager()?.getAllPresets() || [], lock ? lock.preset : current.preset)
+    });
+
+    $(SELECTORS.characterEditorAnchor).before(DOMPurify.sanitize(content));
+}
+
+/**
+ * Re-renders the open editor panel when a saved or cleared lock belongs to its character,
+ * whether it came from the panel, the popup, the lock manager, /stcl or window.STCL.
+ */
+function onCharacterLockChanged(payload) {
+    const panelKey = $(SELECTORS.characterLockPanel).attr('data-character');
+    if (!panelKey || payload?.target !== 'character') {
+        return;
+    }
+
+    const characterKey = payload.characterKey ?? payload.entry?.characterKey ?? payload.context?.characterKey;
+    if (characterKey === panelKey) {
+        renderCharacterLockPanel(storageAdapter.getCharacterIndex(panelKey));
     }
 }
 
+/**
+ * The editor panel's character, or null when the editor has since moved on to another one.
+ */
+function getCharacterLockPanelKey() {
+    const characterKey = $(SELECTORS.characterLockPanel).attr('data-character');
+    if (!characterKey || characterKey !== $(SELECTORS.characterEditorAvatar).val()) {
+        $(SELECTORS.characterLockPanel).remove();
+        return null;
+    }
+    return characterKey;
+}
+
 // ===== MIGRATION POPUP =====
 
 // Track which contexts have already shown the migration popup this session
@@ -1921,17 +5337,14 @@ function checkForExistingSTCLSettings(context) {
             const group = groups?.find(x => x.id === context.groupId);
             if (group?.members && Array.isArray(group.members)) {
                 for (const memberAvatar of group.members) {
-                    const chId = characters?.findIndex(x => x.avatar === memberAvatar);
-                    if (chId !== -1 && storageAdapter.getCharacterSettings(chId)) {
+                    if (storageAdapter.getCharacterSettings(memberAvatar)) {
                         return true;
                     }
                 }
             }
         } else {
-            // Check for character settings (try chId first, then name fallback)
-            const chId = characters?.findIndex(x => x.name === context.characterName);
-            const characterKey = chId !== -1 ? chId : context.characterName;
-            if (storageAdapter.getCharacterSettings(characterKey)) {
+            // Check for character settings (avatar key first, then name fallback)
+            if (context.characterKey && storageAdapter.getCharacterSettings(context.characterKey)) {
                 return true;
             }
             // Check for chat settings
@@ -2042,55 +5455,285 @@ function formatOldSettingsHTML(settings, label) {
     return html;
 }
 
-async function showMigrationPopup(context, oldSettings) {
-    try {
-        let message = `<h3>⚠️ Old Model/Temperature Lock Settings Found</h3>`;
+async function showMigrationPopup(context, oldSettings) {
+    try {
+        let message = `<h3>⚠️ Old Model/Temperature Lock Settings Found</h3>`;
+
+        message += `<p>Previous settings for <strong>Model/Temperature Locks (STMTL)</strong> were found but are not applicable to the new <strong>Character Locks (STCL)</strong> system.</p>`;
+
+        message += `<p>The new system uses <strong>Connection Profiles</strong> and <strong>Presets</strong> instead of individual model and temperature settings.</p>`;
+
+        if (context.isGroupChat) {
+            message += `<h4>Found in this group chat:</h4>`;
+
+            if (oldSettings.group) {
+                message += formatOldSettingsHTML(oldSettings.group, 'Group Settings');
+            }
+            if (oldSettings.groupChat) {
+                message += formatOldSettingsHTML(oldSettings.groupChat, 'Group Chat Settings');
+            }
+            if (oldSettings.character && Array.isArray(oldSettings.character)) {
+                oldSettings.character.forEach(char => {
+                    message += formatOldSettingsHTML(char.settings, `Character: ${char.name}`);
+                });
+            }
+        } else {
+            message += `<h4>Found in this chat:</h4>`;
+
+            if (oldSettings.character) {
+                message += formatOldSettingsHTML(oldSettings.character, `Character: ${context.characterName}`);
+            }
+            if (oldSettings.chat) {
+                message += formatOldSettingsHTML(oldSettings.chat, 'Chat Settings');
+            }
+        }
+
+        message += `<h4>To continue:</h4>`;
+        message += `<p>Configure your new Connection Profiles and Presets in SillyTavern, then use Character Locks to save your new settings. Old settings will be automatically removed when you save new ones.</p>`;
+        message += `<p><small>This message will only appear once per chat/character.</small></p>`;
+
+        const result = await callGenericPopup(message, POPUP_TYPE.CONFIRM, '', {
+            okButton: 'Configure Now',
+            cancelButton: 'Understood'
+        });
+
+        if (result === POPUP_RESULT.AFFIRMATIVE) {
+            // User clicked "Configure Now" - open STCL settings
+            await showPopup();
+        }
+    } catch (error) {
+        console.error('STCL: Error showing migration popup:', error);
+    }
+}
+
+// ===== SLASH COMMANDS =====
+
+const LOCK_TARGETS = ['character', 'chat', 'group', 'both'];
+
+/**
+ * Maps a lock target ('character', 'chat', 'group' or 'both') to saveCurrentUISettings /
+ * clearSettings targets, or null when the target doesn't exist in the current chat type.
+ */
+function getLockTargets(target, context) {
+    switch (target) {
+        case 'character':
+            return context.isGroupChat ? null : { character: true };
+        case 'group':
+            return context.isGroupChat ? { character: true } : null;
+        case 'chat':
+            return { chat: true };
+        case 'both':
+            return { character: true, chat: true };
+        default:
+            return null;
+    }
+}
+
+function slashCommandWarning(message) {
+    if (typeof toastr !== 'undefined') {
+        toastr.warning(message, MODULE_NAME);
+    }
+    console.warn(`STCL: ${message}`);
+    return '';
+}
+
+async function onStclSlashCommand(args, value) {
+    if (!settingsManager) {
+        return slashCommandWarning('Character Locks is not initialized');
+    }
+
+    const [subcommand = '', argument = ''] = Array.isArray(value) ? value.map(String) : String(value ?? '').trim().split(/\s+/);
+    const context = settingsManager.chatContext.getCurrent();
+
+    switch (subcommand.toLowerCase()) {
+        case 'set':
+        case 'clear': {
+            const target = String(args.target || 'both').toLowerCase();
+            const targets = getLockTargets(target, context);
+            if (!targets) {
+                return slashCommandWarning(`/stcl ${subcommand}: target "${target}" doesn't apply to this chat`);
+            }
+            if (!context.characterKey && !context.groupId) {
+                return slashCommandWarning(`/stcl ${subcommand}: no character or group is open`);
+            }
+
+            if (subcommand.toLowerCase() === 'set') {
+                await settingsManager.saveCurrentUISettings(targets);
+            } else {
+                await settingsManager.clearSettings(targets);
+            }
+            return '';
+        }
+
+        case 'apply':
+            await settingsManager.applySettings();
+            return '';
+
+        case 'show': {
+            const resolved = await settingsManager.getSettingsToApply();
+            return JSON.stringify({ source: resolved.source, lock: resolved.settings });
+        }
+
+        case 'mode': {
+            const mode = argument.toLowerCase();
+            if (!Object.values(AUTO_APPLY_MODES).includes(mode)) {
+                return slashCommandWarning(`/stcl mode: expected one of ${Object.values(AUTO_APPLY_MODES).join(', ')}`);
+            }
+
+            storageAdapter.getExtensionSettings().moduleSettings.autoApplyOnContextChange = mode;
+            storageAdapter.saveExtensionSettings();
+            return '';
+        }
+
+        default:
+            return slashCommandWarning(`/stcl: unknown subcommand "${subcommand}", expected set, clear, apply, show or mode`);
+    }
+}
+
+function registerSlashCommands() {
+    try {
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'stcl',
+            callback: onStclSlashCommand,
+            returns: 'the resolved lock and its source as JSON for "show", otherwise nothing',
+            splitUnnamedArgument: true,
+            splitUnnamedArgumentCount: 2,
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'target',
+                    description: 'which lock "set" and "clear" change; "group" and "character" depend on the chat type',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    defaultValue: 'both',
+                    enumList: LOCK_TARGETS,
+                    forceEnum: true
+                })
+            ],
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({
+                    description: 'subcommand',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: true,
+                    enumList: [
+                        new SlashCommandEnumValue('set', 'save the current settings as the lock'),
+                        new SlashCommandEnumValue('clear', 'remove the lock'),
+                        new SlashCommandEnumValue('apply', 'apply the resolved lock'),
+                        new SlashCommandEnumValue('show', 'return the resolved lock and its source'),
+                        new SlashCommandEnumValue('mode', 'set when locks are applied on chat change')
+                    ],
+                    forceEnum: true
+                }),
+                SlashCommandArgument.fromProps({
+                    description: 'auto-apply mode, for "mode"',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    enumList: Object.values(AUTO_APPLY_MODES)
+                })
+            ],
+            helpString: `
+                <div>
+                    Manages Character Locks for the open chat.
+                </div>
+                <div>
+                    <strong>Examples:</strong>
+                    <ul>
+                        <li><pre><code>/stcl set target=chat</code></pre> locks the current chat to the current settings</li>
+                        <li><pre><code>/stcl clear target=both</code></pre> removes the character (or group) and chat locks</li>
+                        <li><pre><code>/stcl apply</code></pre> applies the resolved lock</li>
+                        <li><pre><code>/stcl show | /echo</code></pre> shows the resolved lock and its source</li>
+                        <li><pre><code>/stcl mode always</code></pre> applies locks on chat change without asking</li>
+                    </ul>
+                </div>
+            `
+        }));
+        if (DEBUG_MODE) console.log('STCL: Slash commands registered');
+    } catch (error) {
+        console.error('STCL: Failed to register slash commands:', error);
+    }
+}
+
+// ===== MACROS =====
+
+/**
+ * {{stcl_*}} macros; each resolves to an empty string when no lock applies.
+ */
+const STCL_MACROS = [
+    { key: 'stcl_profile', description: 'Connection profile of the active Character Locks lock', getValue: (resolved) => resolved.settings.connectionProfile },
+    { key: 'stcl_preset', description: 'Preset of the active Character Locks lock', getValue: (resolved) => resolved.settings.preset },
+    { key: 'stcl_source', description: 'Where the active Character Locks lock comes from, e.g. "character + chat"', getValue: (resolved) => resolved.source },
+    { key: 'stcl_saved_at', description: 'When the active Character Locks lock was last saved', getValue: (resolved) => formatSavedAt(resolved.settings.savedAt) }
+];
+
+function registerMacros() {
+    for (const macro of STCL_MACROS) {
+        try {
+            MacrosParser.registerMacro(macro.key, () => {
+                try {
+                    const resolved = settingsManager?.resolveCurrentLock();
+                    return resolved?.settings ? String(macro.getValue(resolved) ?? '') : '';
+                } catch (error) {
+                    console.warn(`STCL: Error resolving {{${macro.key}}}:`, error);
+                    return '';
+                }
+            }, macro.description);
+        } catch (error) {
+            console.error(`STCL: Failed to register {{${macro.key}}} macro:`, error);
+        }
+    }
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * window.STCL for other extensions. Targets are the same as for /stcl.
+ * Subscribe to STCL.events on eventSource to hear about applied, saved and cleared locks.
+ */
+function createPublicApi() {
+    const resolveTargets = (target) => {
+        const targets = getLockTargets(String(target).toLowerCase(), settingsManager.chatContext.getCurrent());
+        if (!targets) {
+            throw new Error(`STCL: Target "${target}" doesn't apply to this chat, expected one of ${LOCK_TARGETS.join(', ')}`);
+        }
+        return targets;
+    };
+
+    return Object.freeze({
+        version: STCL_API_VERSION,
+        events: STCL_EVENTS,
 
-        message += `<p>Previous settings for <strong>Model/Temperature Locks (STMTL)</strong> were found but are not applicable to the new <strong>Character Locks (STCL)</strong> system.</p>`;
+        /** Returns { settings, source, fieldSources } of the lock in effect; settings is null without a lock. */
+        getResolvedLock: () => lodash.cloneDeep(lodash.pick(settingsManager.resolveCurrentLock(), ['settings', 'source', 'fieldSources'])),
 
-        message += `<p>The new system uses <strong>Connection Profiles</strong> and <strong>Presets</strong> instead of individual model and temperature settings.</p>`;
+        /** Saves the current settings as the lock of a target; resolves to true if anything was saved. */
+        saveLock: async (target = 'both') => await settingsManager.saveCurrentUISettings(resolveTargets(target)),
 
-        if (context.isGroupChat) {
-            message += `<h4>Found in this group chat:</h4>`;
+        /** Removes the lock of a target; resolves to true if anything was cleared. */
+        clearLock: async (target = 'both') => await settingsManager.clearSettings(resolveTargets(target)) > 0,
 
-            if (oldSettings.group) {
-                message += formatOldSettingsHTML(oldSettings.group, 'Group Settings');
-            }
-            if (oldSettings.groupChat) {
-                message += formatOldSettingsHTML(oldSettings.groupChat, 'Group Chat Settings');
-            }
-            if (oldSettings.character && Array.isArray(oldSettings.character)) {
-                oldSettings.character.forEach(char => {
-                    message += formatOldSettingsHTML(char.settings, `Character: ${char.name}`);
-                });
-            }
-        } else {
-            message += `<h4>Found in this chat:</h4>`;
+        /** Applies the lock in effect; resolves to false if there is none. */
+        applyLock: async () => await settingsManager.applySettings(),
 
-            if (oldSettings.character) {
-                message += formatOldSettingsHTML(oldSettings.character, `Character: ${context.characterName}`);
+        /**
+         * Adds a resolution layer: { id, label, chatTypes: ['single'|'group'], getSettings(currentSettings, context) }.
+         * New layers go at the end of the priority order, above the default lock.
+         * An id that is already registered must be unregistered first.
+         */
+        registerLayer: (layer) => {
+            if (BUILT_IN_LAYERS.some(builtIn => builtIn.id === layer?.id)) {
+                throw new Error(`STCL: Layer id "${layer.id}" is reserved`);
             }
-            if (oldSettings.chat) {
-                message += formatOldSettingsHTML(oldSettings.chat, 'Chat Settings');
+            if (layerRegistry.get(layer?.id)) {
+                throw new Error(`STCL: Layer id "${layer.id}" is already registered`);
             }
-        }
-
-        message += `<h4>To continue:</h4>`;
-        message += `<p>Configure your new Connection Profiles and Presets in SillyTavern, then use Character Locks to save your new settings. Old settings will be automatically removed when you save new ones.</p>`;
-        message += `<p><small>This message will only appear once per chat/character.</small></p>`;
-
-        const result = await callGenericPopup(message, POPUP_TYPE.CONFIRM, '', {
-            okButton: 'Configure Now',
-            cancelButton: 'Understood'
-        });
+            layerRegistry.register(layer);
+        },
 
-        if (result === POPUP_RESULT.AFFIRMATIVE) {
-            // User clicked "Configure Now" - open STCL settings
-            await showPopup();
+        /** Removes a layer added with registerLayer; returns false if there was none. */
+        unregisterLayer: (id) => {
+            if (BUILT_IN_LAYERS.some(builtIn => builtIn.id === id)) {
+                throw new Error(`STCL: Layer id "${id}" is reserved`);
+            }
+            return layerRegistry.unregister(id);
         }
-    } catch (error) {
-        console.error('STCL: Error showing migration popup:', error);
-    }
+    });
 }
 
 // ===== UI CREATION =====
@@ -2124,6 +5767,23 @@ function addPopupWrapStyle() {
         .radio_label input[type="radio"] {
             margin-right: 8px !important;
         }
+        .stcl-import-preview,
+        .stcl-resolved-fields {
+            width: 100%;
+            border-collapse: collapse;
+            text-align: left;
+        }
+        .stcl-import-preview th,
+        .stcl-import-preview td,
+        .stcl-resolved-fields th,
+        .stcl-resolved-fields td {
+            padding: 4px 8px;
+            border-bottom: 1px solid var(--SmartThemeBorderColor);
+            vertical-align: top;
+        }
+        .stcl-import-preview small {
+            white-space: pre-line;
+        }
     `;
     const style = document.createElement('style');
     style.id = 'stcl-popup-fix';
@@ -2138,6 +5798,272 @@ function setupEventListeners() {
         showPopup();
     });
 
+    $(document).on('click', SELECTORS.characterLockSet, async function() {
+        try {
+            const characterKey = getCharacterLockPanelKey();
+            if (!characterKey) return;
+
+            const values = {
+                connectionProfile: $('#stcl-character-lock-profile').val(),
+                preset: $('#stcl-character-lock-preset').val()
+            };
+            if (!values.connectionProfile && !values.preset) {
+                if (typeof toastr !== 'undefined') {
+                    toastr.warning('Choose a connection profile or preset to lock', MODULE_NAME);
+                }
+                return;
+            }
+
+            // The panel re-renders on the lock saved event
+            await settingsManager.saveCharacterLock(characterKey, values);
+        } catch (error) {
+            console.error('STCL: Error saving character lock from the editor:', error);
+        }
+    });
+
+    $(document).on('click', SELECTORS.characterLockClear, async function() {
+        try {
+            const characterKey = getCharacterLockPanelKey();
+            if (characterKey) {
+                await settingsManager.clearCharacterLock(characterKey);
+            }
+        } catch (error) {
+            console.error('STCL: Error clearing character lock from the editor:', error);
+        }
+    });
+
+    $(document).on('input change', SELECTORS.dashboardFilter, function() {
+        applyDashboardFilters();
+    });
+
+    $(document).on('click', `${SELECTORS.dashboardEdit}, ${SELECTORS.dashboardCancel}`, function() {
+        const row = $(this).closest('tr');
+        const entry = dashboardEntries.get(Number(row.data('entry')));
+        if (entry) {
+            row.replaceWith(renderDashboardRow(entry, $(this).is(SELECTORS.dashboardEdit)));
+        }
+    });
+
+    $(document).on('click', SELECTORS.dashboardSave, async function() {
+        const row = $(this).closest('tr');
+        const entry = dashboardEntries.get(Number(row.data('entry')));
+        if (!entry) return;
+
+        try {
+            const changes = {
+                connectionProfile: row.find('.stcl-dashboard-edit-profile').val() || null,
+                preset: row.find('.stcl-dashboard-edit-preset').val() || null
+            };
+            const record = await settingsManager.updateLockEntry(entry, changes);
+            if (!record) {
+                if (typeof toastr !== 'undefined') {
+                    toastr.error(`Failed to save the lock of ${entry.label}`, MODULE_NAME);
+                }
+                return;
+            }
+
+            entry.settings = record;
+            row.replaceWith(renderDashboardRow(entry));
+            applyDashboardFilters();
+        } catch (error) {
+            console.error('STCL: Error saving lock from the lock manager:', error);
+        }
+    });
+
+    $(document).on('click', SELECTORS.dashboardDelete, async function() {
+        const row = $(this).closest('tr');
+        const entry = dashboardEntries.get(Number(row.data('entry')));
+        if (!entry) return;
+
+        try {
+            const confirmed = await callGenericPopup(`Delete the ${LOCK_ENTRY_SOURCES[entry.kind]} lock of "${entry.label}"?`, POPUP_TYPE.CONFIRM);
+            if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return;
+
+            if (await settingsManager.deleteLockEntry(entry)) {
+                dashboardEntries.delete(entry.id);
+                row.remove();
+                applyDashboardFilters();
+            } else if (typeof toastr !== 'undefined') {
+                toastr.error(`Failed to delete the lock of ${entry.label}`, MODULE_NAME);
+            }
+        } catch (error) {
+            console.error('STCL: Error deleting lock from the lock manager:', error);
+        }
+    });
+
+    // Saved immediately so a following "Set" click already captures the chosen fields
+    $(document).on('change', SELECTORS.includeInLock, function() {
+        const moduleSettings = storageAdapter.getExtensionSettings().moduleSettings;
+        moduleSettings.includeInLock = { ...moduleSettings.includeInLock, [this.dataset.field]: this.checked };
+        storageAdapter.saveExtensionSettings();
+    });
+
+    $(document).on('change', SELECTORS.lockField, async function() {
+        try {
+            const target = $(this).data('target');
+            const field = $(this).data('field');
+            if (await settingsManager.setLockField(target, field, this.checked)) {
+                await refreshPopupAfterSave();
+            } else {
+                this.checked = !this.checked;
+            }
+        } catch (error) {
+            console.error('STCL: Error changing locked field:', error);
+        }
+    });
+
+    $(document).on('click', SELECTORS.editSamplerOverrides, async function() {
+        try {
+            if (await editSamplerOverrides($(this).data('target'))) {
+                await refreshPopupAfterSave();
+            }
+        } catch (error) {
+            console.error('STCL: Error editing sampler overrides:', error);
+        }
+    });
+
+    $(document).on('click', SELECTORS.tagLockSet, async function() {
+        try {
+            if (await settingsManager.saveTagLock(String($(this).data('tag')))) {
+                await refreshPopupAfterSave();
+            }
+        } catch (error) {
+            console.error('STCL: Error saving tag lock:', error);
+        }
+    });
+
+    $(document).on('click', SELECTORS.tagLockAdd, async function() {
+        try {
+            const tagId = $('#stcl-tag-lock-select').val();
+            if (tagId && await settingsManager.saveTagLock(String(tagId))) {
+                await refreshPopupAfterSave();
+            }
+        } catch (error) {
+            console.error('STCL: Error adding tag lock:', error);
+        }
+    });
+
+    $(document).on('click', SELECTORS.tagLockClear, async function() {
+        try {
+            if (await settingsManager.clearTagLock(String($(this).data('tag')))) {
+                await refreshPopupAfterSave();
+            }
+        } catch (error) {
+            console.error('STCL: Error clearing tag lock:', error);
+        }
+    });
+
+    $(document).on('change', SELECTORS.tagLockPriority, function() {
+        settingsManager.setTagLockPriority(String($(this).data('tag')), $(this).val());
+    });
+
+    $(document).on('click', `${SELECTORS.ruleAdd}, ${SELECTORS.ruleEdit}`, async function() {
+        try {
+            const ruleId = $(this).data('rule');
+            const rule = ruleId ? storageAdapter.getLockRules().find(x => x.id === ruleId) : null;
+            const edited = await editLockRule(rule);
+            if (!edited) return;
+
+            // New rules start out locked to the current settings
+            if (!edited.lock) {
+                edited.lock = settingsManager._buildRecord(settingsManager._getCurrentUISettings(), null);
+            }
+
+            if (settingsManager.saveRule(edited)) {
+                await refreshPopupAfterSave();
+            }
+        } catch (error) {
+            console.error('STCL: Error editing rule:', error);
+        }
+    });
+
+    $(document).on('click', SELECTORS.ruleSetLock, async function() {
+        try {
+            if (settingsManager.setRuleLock($(this).data('rule'))) {
+                await refreshPopupAfterSave();
+            }
+        } catch (error) {
+            console.error('STCL: Error setting rule lock:', error);
+        }
+    });
+
+    $(document).on('click', SELECTORS.ruleDelete, async function() {
+        try {
+            if (settingsManager.deleteRule($(this).data('rule'))) {
+                await refreshPopupAfterSave();
+            }
+        } catch (error) {
+            console.error('STCL: Error deleting rule:', error);
+        }
+    });
+
+    $(document).on('click', SELECTORS.ruleMove, async function() {
+        try {
+            if (settingsManager.moveRule($(this).data('rule'), Number($(this).data('direction')))) {
+                await refreshPopupAfterSave();
+            }
+        } catch (error) {
+            console.error('STCL: Error reordering rules:', error);
+        }
+    });
+
+    $(document).on('change', SELECTORS.ruleEnabled, function() {
+        const rule = storageAdapter.getLockRules().find(x => x.id === $(this).data('rule'));
+        if (rule) {
+            settingsManager.saveRule({ ...rule, enabled: this.checked });
+        }
+    });
+
+    $(document).on('change', SELECTORS.hardLock, async function() {
+        try {
+            if (await settingsManager.setHardLock($(this).data('target'), this.checked)) {
+                await refreshPopupAfterSave();
+            } else {
+                this.checked = !this.checked;
+            }
+        } catch (error) {
+            console.error('STCL: Error changing hard lock:', error);
+        }
+    });
+
+    $(document).on('click', SELECTORS.hardLockSuspend, async function() {
+        try {
+            settingsManager.setHardLockSuspended(!settingsManager.hardLockSuspended);
+            await refreshPopupAfterSave();
+        } catch (error) {
+            console.error('STCL: Error toggling hard locks:', error);
+        }
+    });
+
+    // Text completion presets don't emit PRESET_CHANGED
+    $(document).on('change', SELECTORS.presetSelect, function() {
+        settingsManager?.onLiveSettingsChanged();
+    });
+
+    $(document).on('click', SELECTORS.moveLayer, async function() {
+        try {
+            const index = Number($(this).data('index'));
+            const direction = Number($(this).data('direction'));
+            if (settingsManager.movePriorityLayer(index, direction)) {
+                await refreshPopupAfterSave();
+            }
+        } catch (error) {
+            console.error('STCL: Error reordering priority chain:', error);
+        }
+    });
+
+    $(document).on('click', SELECTORS.restoreRevision, async function() {
+        try {
+            const target = $(this).data('target');
+            const index = Number($(this).data('index'));
+            if (await settingsManager.restoreRevision(target, index)) {
+                await refreshPopupAfterSave();
+            }
+        } catch (error) {
+            console.error('STCL: Error restoring lock revision:', error);
+        }
+    });
+
     // Register SillyTavern events
     function registerSillyTavernEvents() {
         if (eventListenersRegistered) {
@@ -2157,80 +6083,45 @@ function setupEventListeners() {
             // Note: CHARACTER_SELECTED event doesn't exist in SillyTavern - using CHAT_CHANGED instead
             // CHAT_CHANGED fires when characters are selected/changed, covering both scenarios
             registerEventHandler(event_types.CHAT_CHANGED, onContextChanged, 'character/chat change');
+            registerEventHandler(event_types.CHARACTER_RENAMED, (oldAvatar, newAvatar) => {
+                // Avatar filenames change on rename, so move the lock to the new key
+                storageAdapter.renameCharacterKey(oldAvatar, newAvatar);
+            }, 'character rename');
+            registerEventHandler(event_types.GENERATION_AFTER_COMMANDS, async (type, options, dryRun) => {
+                if (dryRun) return;
+                try {
+                    await settingsManager.onBeforeGeneration(type);
+                } catch (error) {
+                    console.error('STCL: Error in pre-generation check:', error);
+                }
+            }, 'pre-generation check');
             registerEventHandler(event_types.GROUP_CHAT_CREATED, () => {
                 // Use the GROUP_UPDATED event instead of timeout for proper synchronization
                 onContextChanged();
             }, 'group chat creation');
 
-            registerEventHandler(event_types.GROUP_MEMBER_DRAFTED, async (chId) => {
-                try {
-                    // Check if individual character preference is enabled
-                    const extensionSettings = storageAdapter.getExtensionSettings();
-                    const prefs = extensionSettings.moduleSettings;
-                    if (!prefs.preferIndividualCharacterInGroup) {
-                        return;
-                    }
-
-                    // Use window.characters for broader compatibility
-                    const chars = (typeof characters !== 'undefined') ? characters : window.characters;
-
-                    if (!chars || !Array.isArray(chars)) {
-                        console.error('STCL: Characters array not available or invalid');
-                        return;
-                    }
-
-                    if (typeof chId !== 'number' || chId < 0 || chId >= chars.length) {
-                        console.error('STCL: Invalid character ID:', chId, 'characters length:', chars.length);
-                        return;
-                    }
-
-                    const charObj = chars[chId];
-                    if (!charObj || !charObj.name) {
-                        console.error('STCL: Character object is null, undefined, or missing name at index:', chId);
-                        return;
-                    }
+            registerEventHandler(event_types.GROUP_MEMBER_DRAFTED, (chId) => settingsManager.onGroupMemberDrafted(chId), 'group member drafted');
 
-                    if (DEBUG_MODE) {
-                        console.log('STCL: group_member_drafted - applying individual character settings:', {
-                            chId,
-                            draftedCharacter: charObj,
-                            name: charObj.name,
-                            avatar: charObj.avatar,
-                        });
-                    }
+            // Put the group lock back once a drafted member's turn is over
+            const onMemberTurnFinished = () => settingsManager.onMemberTurnFinished();
+            registerEventHandler(event_types.GENERATION_ENDED, onMemberTurnFinished, 'member turn ended');
+            registerEventHandler(event_types.GENERATION_STOPPED, onMemberTurnFinished, 'member turn stopped');
+            registerEventHandler(event_types.GROUP_WRAPPER_FINISHED, onMemberTurnFinished, 'group generation finished');
 
-                    // Apply character-specific connection profile and preset before generation
-                    // Use chId for storage lookup
-                    const context = settingsManager.chatContext.getCurrent();
-
-                    if (context?.type === CHAT_TYPES.GROUP) {
-                        // Get individual character settings using chId as key
-                        const individual = storageAdapter.getCharacterSettings(chId);
-                        if (individual) {
-                            if (DEBUG_MODE) console.log(`STCL: Found individual character settings for ${charObj.name} in group chat`);
-
-                            // Respect the auto-apply mode setting
-                            const autoApplyMode = prefs.autoApplyOnContextChange;
-                            if (autoApplyMode === AUTO_APPLY_MODES.NEVER) {
-                                if (DEBUG_MODE) console.log('STCL: Auto-apply disabled, skipping character settings application');
-                                return;
-                            } else if (autoApplyMode === AUTO_APPLY_MODES.ASK) {
-                                const shouldApply = await settingsManager._askUserToApplySettings(context);
-                                if (!shouldApply) {
-                                    if (DEBUG_MODE) console.log('STCL: User declined to apply character settings');
-                                    return;
-                                }
-                            }
-
-                            if (DEBUG_MODE) console.log(`STCL: Applying individual character settings for ${charObj.name} in group chat`);
-                            await settingsManager._applySettingsToUI(individual);
-                        }
-                    }
+            registerEventHandler(event_types.CHARACTER_EDITOR_OPENED, (chId) => {
+                try {
+                    renderCharacterLockPanel(Number(chId));
                 } catch (error) {
-                    console.error('STCL: Error in GROUP_MEMBER_DRAFTED handler:', error);
+                    console.error('STCL: Error adding the character editor lock section:', error);
                 }
-            });
+            }, 'character editor opened');
+            registerEventHandler(STCL_EVENTS.LOCK_SAVED, onCharacterLockChanged, 'character editor lock saved');
+            registerEventHandler(STCL_EVENTS.LOCK_CLEARED, onCharacterLockChanged, 'character editor lock cleared');
 
+            // Watch for preset and profile changes made outside STCL
+            const onLiveSettingsChanged = () => settingsManager.onLiveSettingsChanged();
+            registerEventHandler(event_types.PRESET_CHANGED, onLiveSettingsChanged, 'preset change');
+            registerEventHandler(event_types.CONNECTION_PROFILE_LOADED, onLiveSettingsChanged, 'connection profile change');
 
             if (DEBUG_MODE) console.log('STCL: Event listeners registered successfully');
         } catch (e) {
@@ -2249,7 +6140,13 @@ function setupEventListeners() {
 function migrateOldData() {
     const extensionSettings = storageAdapter.getExtensionSettings();
 
-    if (extensionSettings.migrationVersion >= 9) {
+    if (extensionSettings.migrationVersion >= 11) {
+        return;
+    }
+
+    if (extensionSettings.migrationVersion === 10) {
+        migratePriorityChains(extensionSettings);
+        storageAdapter.saveExtensionSettings();
         return;
     }
 
@@ -2324,12 +6221,6 @@ function migrateOldData() {
     if (!extensionSettings.moduleSettings.hasOwnProperty('enableGroupMemory')) {
         extensionSettings.moduleSettings.enableGroupMemory = true;
     }
-    if (!extensionSettings.moduleSettings.hasOwnProperty('preferGroupOverChat')) {
-        extensionSettings.moduleSettings.preferGroupOverChat = true;
-    }
-    if (!extensionSettings.moduleSettings.hasOwnProperty('preferIndividualCharacterInGroup')) {
-        extensionSettings.moduleSettings.preferIndividualCharacterInGroup = false;
-    }
     if (!extensionSettings.moduleSettings.hasOwnProperty('showNotifications')) {
         extensionSettings.moduleSettings.showNotifications = true;
     }
@@ -2348,11 +6239,161 @@ function migrateOldData() {
     // Group settings are now stored directly on group objects, not in extension settings
 
     extensionSettings.migrationVersion = 9;
+
+    // Re-key character settings by avatar (v10 migration)
+    if (migrateCharacterKeys(extensionSettings)) {
+        extensionSettings.migrationVersion = 10;
+    }
+
+    // The chains don't depend on the character list, so they are migrated even
+    // when re-keying waits for characters; otherwise the defaults would replace the flags
+    migratePriorityChains(extensionSettings);
+
     storageAdapter.saveExtensionSettings();
 
     if (DEBUG_MODE) console.log('STCL: Data migration completed');
 }
 
+/**
+ * Replaces the preferCharacterOverChat, preferGroupOverChat and
+ * preferIndividualCharacterInGroup flags with ordered priority chains (v11 migration).
+ * Existing chains are kept once the flags are gone; the version only moves on after the v10 migration.
+ */
+function migratePriorityChains(extensionSettings) {
+    const moduleSettings = extensionSettings.moduleSettings;
+    const flags = ['preferCharacterOverChat', 'preferGroupOverChat', 'preferIndividualCharacterInGroup'];
+    if (flags.some(flag => moduleSettings.hasOwnProperty(flag)) || !moduleSettings.singlePriorityChain || !moduleSettings.groupPriorityChain) {
+        convertPriorityFlags(moduleSettings);
+    }
+
+    if (extensionSettings.migrationVersion === 10) {
+        extensionSettings.migrationVersion = 11;
+    }
+}
+
+function convertPriorityFlags(moduleSettings) {
+    const preferCharacterOverChat = moduleSettings.preferCharacterOverChat ?? true;
+    const preferGroupOverChat = moduleSettings.preferGroupOverChat ?? true;
+    const preferIndividualCharacterInGroup = moduleSettings.preferIndividualCharacterInGroup ?? false;
+
+    moduleSettings.singlePriorityChain = preferCharacterOverChat ? ['character', 'chat'] : ['chat', 'character'];
+
+    const groupChain = preferGroupOverChat ? ['group', 'groupChat'] : ['groupChat', 'group'];
+    moduleSettings.groupPriorityChain = preferIndividualCharacterInGroup ? ['individual', ...groupChain] : [...groupChain, 'individual'];
+
+    delete moduleSettings.preferCharacterOverChat;
+    delete moduleSettings.preferGroupOverChat;
+    delete moduleSettings.preferIndividualCharacterInGroup;
+
+    if (DEBUG_MODE) console.log('STCL: Migrated priority flags to chains:', moduleSettings.singlePriorityChain, moduleSettings.groupPriorityChain);
+}
+
+/**
+ * Fills in module settings added after the user's settings were first created.
+ */
+function applyMissingDefaults() {
+    const extensionSettings = storageAdapter.getExtensionSettings();
+    const missingKeys = Object.keys(DEFAULT_SETTINGS.moduleSettings)
+        .filter(key => !extensionSettings.moduleSettings.hasOwnProperty(key));
+
+    if (missingKeys.length === 0) {
+        return;
+    }
+
+    for (const key of missingKeys) {
+        extensionSettings.moduleSettings[key] = lodash.cloneDeep(DEFAULT_SETTINGS.moduleSettings[key]);
+    }
+
+    if (DEBUG_MODE) console.log('STCL: Added missing module settings:', missingKeys);
+    storageAdapter.saveExtensionSettings();
+}
+
+/**
+ * Rewrites chId (array index) and legacy name keys in characterSettings to avatar keys.
+ * Anything that cannot be matched to exactly one character is recorded in
+ * characterKeyMigrationReport. Returns false if characters are not loaded yet.
+ */
+function migrateCharacterKeys(extensionSettings) {
+    const entries = Object.entries(extensionSettings.characterSettings || {});
+
+    if (entries.length > 0 && (!Array.isArray(characters) || characters.length === 0)) {
+        if (DEBUG_MODE) console.log('STCL: Characters not loaded yet, deferring character key migration');
+        return false;
+    }
+
+    const migratedSettings = {};
+    // The old key each migrated lock came from, to report the right one on duplicates
+    const sourceKeys = {};
+    const unresolved = [];
+    let migratedCount = 0;
+
+    for (const [key, settings] of entries) {
+        let avatar = null;
+        let reason = null;
+
+        if (characters.some(x => x.avatar === key)) {
+            avatar = key;
+        } else if (/^\d+$/.test(key)) {
+            avatar = characters[Number(key)]?.avatar || null;
+            if (!avatar) reason = `No character at index ${key}`;
+        } else {
+            const matches = characters.filter(x => x?.name && storageAdapter._normalizeCharacterName(x.name) === key);
+            if (matches.length === 1) {
+                avatar = matches[0].avatar;
+            } else {
+                reason = matches.length > 1 ?
+                    `Name matches ${matches.length} characters` :
+                    'No character with this name';
+            }
+        }
+
+        if (!avatar) {
+            // Unmatched names stay in place so the legacy name lookup keeps working;
+            // unmatched indexes point at nothing and are only kept in the report
+            const kept = !/^\d+$/.test(key);
+            if (kept) {
+                migratedSettings[key] = settings;
+            }
+            unresolved.push({ key, reason, kept, settings });
+            continue;
+        }
+
+        const existing = migratedSettings[avatar];
+        if (existing) {
+            // Two old keys point at the same character - keep the most recently saved one
+            const keepNew = moment(settings?.savedAt).isAfter(moment(existing.savedAt));
+            unresolved.push({
+                key: keepNew ? sourceKeys[avatar] : key,
+                reason: `Duplicate lock for "${avatar}", older lock discarded`,
+                kept: false,
+                settings: keepNew ? existing : settings
+            });
+            if (!keepNew) continue;
+        }
+
+        migratedSettings[avatar] = settings;
+        sourceKeys[avatar] = key;
+        if (key !== avatar) migratedCount++;
+    }
+
+    extensionSettings.characterSettings = migratedSettings;
+    extensionSettings.characterKeyMigrationReport = {
+        completedAt: moment().toISOString(),
+        migratedCount,
+        unresolved
+    };
+
+    if (unresolved.length > 0) {
+        console.warn(`STCL: ${unresolved.length} character lock(s) could not be re-keyed, see extension_settings.${MODULE_NAME}.characterKeyMigrationReport`, unresolved);
+        if (typeof toastr !== 'undefined') {
+            toastr.warning(`${unresolved.length} character lock(s) could not be matched to a character. Details are listed in the Character Locks popup.`, MODULE_NAME);
+        }
+    }
+
+    if (DEBUG_MODE) console.log(`STCL: Re-keyed ${migratedCount} character settings by avatar`);
+    return true;
+}
+
 // ===== INITIALIZATION =====
 
 let hasInitialized = false;
@@ -2390,16 +6431,22 @@ async function init() {
 
     // Initialize core components
     storageAdapter = new StorageAdapter();
-    settingsManager = new SettingsManager(storageAdapter);
+    layerRegistry = new LayerRegistry();
+    settingsManager = new SettingsManager(storageAdapter, layerRegistry);
+    lockBundleService = new LockBundleService(storageAdapter);
 
     // Run data migration
     migrateOldData();
+    applyMissingDefaults();
 
     // Create UI
     createUI();
 
     // Set up event listeners
     setupEventListeners();
+    registerSlashCommands();
+    registerMacros();
+    window.STCL = createPublicApi();
 
     // Connection profiles handle API compatibility automatically
 